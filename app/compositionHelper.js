@@ -0,0 +1,230 @@
+// Stem count resolution for <consist> entries, ported from fix_consist_counts.py.
+// Priority for each ingredient: explicit count in the offer name, then in the description
+// (the STANDARD/DELUXE section matching the variant first, then the whole text),
+// then counts imported from the vision counter (by offer ID, or by picture and the ingredients
+// still unresolved), then an explicit quantity in the composition metafield, then an "at least" estimate.
+
+export const MAX_STEM_COUNT = 200;
+
+export const STEM_COUNT_UNIT = "stems count";
+export const STEM_ESTIMATE_UNIT = "stems count atleast";
+
+const SYNONYMS = {
+  "roses": "Rose", "rose": "Rose",
+  "peonies": "Peony", "peony": "Peony",
+  "tulips": "Tulip", "tulip": "Tulip",
+  "hydrangeas": "Hydrangea", "hydrangea": "Hydrangea",
+  "lilies": "Lily", "lily": "Lily",
+  "sunflowers": "Sunflower", "sunflower": "Sunflower",
+  "orchids": "Orchid", "orchid": "Orchid",
+  "dahlias": "Dahlia", "dahlia": "Dahlia",
+  "carnations": "Carnation", "carnation": "Carnation",
+  "chrysanthemums": "Chrysanthemum", "chrysanthemum": "Chrysanthemum",
+  "delphiniums": "Delphinium", "delphinium": "Delphinium",
+  "lisianthus": "Lisianthus",
+  "stocks": "Stock", "stock": "Stock",
+  "snapdragons": "Snapdragons", "snapdragon": "Snapdragons",
+  "alstroemeria": "Alstroemeria", "alstroemerias": "Alstroemeria",
+  "freesias": "Freesia", "freesia": "Freesia",
+  "anthuriums": "Anthurium", "anthurium": "Anthurium",
+  "gerberas": "Gerbera", "gerbera": "Gerbera",
+  "lavender": "Lavender",
+  "eucalyptus": "Eucalyptus",
+  "gypsophila": "Gypsophila",
+  "waxflower": "Waxflower", "waxflowers": "Waxflower",
+  "wax": "Waxflower",
+  "trachelium": "Trachelium",
+  "bouvardia": "Bouvardia",
+  "hypericum": "Hypericum",
+  "limonium": "Limonium",
+  "statice": "Limonium",
+  "eustoma": "Eustoma",
+  "mimosa": "Mimosa",
+  "foliage": "Foliage",
+  "greenery": "Foliage",
+  "ruscus": "Foliage",
+  "greenbell": "Foliage",
+  "green bell": "Foliage",
+  "berry": "Berry", "berries": "Berry",
+  "thistle": "Thistle",
+  "geranium": "Geranium",
+  "astrantia": "Astrantia",
+  "dianthus": "Carnation",
+  "tuberoses": "Tuberoses", "tuberose": "Tuberoses",
+  "limoniums": "Limonium",
+  "hypericons": "Hypericum"
+};
+
+function cleanWord(word) {
+  return word.toLowerCase().replace(/^[\s,.|:;()\-'"]+|[\s,.|:;()\-'"]+$/g, "");
+}
+
+export function normaliseIngredient(word) {
+  return SYNONYMS[cleanWord(word)] || null;
+}
+
+function fuzzyMatch(word, consistNames) {
+  const canon = normaliseIngredient(word);
+  if (canon && consistNames.includes(canon)) {
+    return canon;
+  }
+  // "carnation" is canonical "Carnation", the composition may still say "Dianthus"
+  if (canon) {
+    const reverse = consistNames.find((name) => SYNONYMS[name.toLowerCase()] === canon);
+    if (reverse) {
+      return reverse;
+    }
+  }
+  const w = cleanWord(word);
+  if (w.length < 5) {
+    return null;
+  }
+  return consistNames.find(
+    (name) => name.toLowerCase().startsWith(w.slice(0, 5)) || w.startsWith(name.toLowerCase().slice(0, 5))
+  ) || null;
+}
+
+// Descriptions list "STANDARD: ... DELUXE: ..." sections; pick the one named in the offer
+export function extractVariantSection(description, offerName) {
+  const nameLower = offerName.toLowerCase();
+  let target = null;
+  if (nameLower.includes("standard")) {
+    target = "standard";
+  } else if (nameLower.includes("deluxe")) {
+    target = "deluxe";
+  }
+  if (!target) {
+    return description;
+  }
+
+  const parts = description.split(/(STANDARD|DELUXE)\s*:/i);
+  const sections = {};
+  for (let i = 1; i < parts.length - 1; i += 2) {
+    sections[parts[i].toLowerCase()] = parts[i + 1];
+  }
+  return sections[target] ?? description;
+}
+
+function addCount(counts, word, n, consistNames) {
+  if (n <= 0 || n > MAX_STEM_COUNT || word.includes("/")) {
+    return;
+  }
+  const match = fuzzyMatch(word, consistNames);
+  if (match && !counts.has(match)) {
+    counts.set(match, n);
+  }
+}
+
+export function parseCountsFromText(text, consistNames) {
+  const counts = new Map();
+  if (!text) {
+    return counts;
+  }
+
+  for (const rawSegment of text.split(/[|,\n]+/)) {
+    const segment = rawSegment.trim();
+    if (!segment) {
+      continue;
+    }
+
+    // "x5 Roses", "x5 Pink Roses", "5 x Pink Floyd roses", "7x carnation"
+    for (const m of segment.matchAll(/(?:x\s*(\d+)|(\d+)\s*x)\s*(?:-\d+)?\s+(?:\w+\s+){0,3}(\w+)/gi)) {
+      addCount(counts, m[3], parseInt(m[1] || m[2], 10), consistNames);
+    }
+    // "x5-7 Roses": ranges use the lower bound
+    for (const m of segment.matchAll(/x\s*(\d+)(?:-\d+)?\s+(?:\w+\s+){0,3}(\w+)/gi)) {
+      addCount(counts, m[2], parseInt(m[1], 10), consistNames);
+    }
+    // "5 pink roses", "10 red african roses"
+    for (const m of segment.matchAll(/\b(\d+)\s+(?:\w+\s+){0,2}(\w+)/gi)) {
+      addCount(counts, m[2], parseInt(m[1], 10), consistNames);
+    }
+    // "Roses x 5", "Roses 5"
+    for (const m of segment.matchAll(/(\w+)\s+x?\s*(\d+)\b/gi)) {
+      addCount(counts, m[1], parseInt(m[2], 10), consistNames);
+    }
+  }
+
+  return counts;
+}
+
+// "Pink Roses - 12 Stems" counts only for single-ingredient offers; "Roses - 24 Pink Roses" names the ingredient
+export function countsFromName(offerName, consistNames) {
+  const counts = new Map();
+  const separator = offerName.lastIndexOf(" - ");
+  if (separator < 0) {
+    return counts;
+  }
+  const variant = offerName.slice(separator + 3).trim();
+
+  const stemsMatch = variant.match(/^(\d+)\s+stems?$/i);
+  if (stemsMatch) {
+    const n = parseInt(stemsMatch[1], 10);
+    if (n > 0 && n <= MAX_STEM_COUNT && consistNames.length === 1) {
+      counts.set(consistNames[0], n);
+    }
+    return counts;
+  }
+
+  const namedMatch = variant.match(/^(\d+)\s+(?:\w+\s+){0,2}(\w+)$/i);
+  if (namedMatch) {
+    addCount(counts, namedMatch[2], parseInt(namedMatch[1], 10), consistNames);
+  }
+  return counts;
+}
+
+// Vision counts were recorded per picture for the ingredients the name and description left open
+export function ingredientsKey(ingredients) {
+  return [...ingredients].sort().join("|");
+}
+
+export function compositionImageKey(imageUrl, ingredients) {
+  return `${imageUrl}\n${ingredientsKey(ingredients)}`;
+}
+
+export function resolveConsistCounts(items, offerName, description, lookupStoredCounts = () => null) {
+  const merged = new Map();
+  for (const item of items) {
+    const name = normaliseIngredient(item.name) || item.name;
+    if (!merged.has(name)) {
+      merged.set(name, { name, sourceName: item.name, qty: item.qty, explicitQty: item.explicitQty });
+    }
+  }
+  const consistNames = Array.from(merged.keys());
+
+  const nameCounts = countsFromName(offerName, consistNames);
+  const descCounts = parseCountsFromText(extractVariantSection(description, offerName), consistNames);
+  for (const [name, count] of parseCountsFromText(description, consistNames)) {
+    if (!descCounts.has(name)) {
+      descCounts.set(name, count);
+    }
+  }
+
+  const unresolved = consistNames.filter((name) => !nameCounts.has(name) && !descCounts.has(name));
+  const storedCounts = unresolved.length > 0 ? lookupStoredCounts(unresolved) || {} : {};
+
+  return Array.from(merged.values()).map((item) => {
+    const count = nameCounts.get(item.name) ?? descCounts.get(item.name);
+    if (count !== undefined) {
+      return { name: item.name, sourceName: item.sourceName, count, unit: STEM_COUNT_UNIT };
+    }
+    const stored = storedCounts[item.name];
+    if (stored) {
+      return { name: item.name, sourceName: item.sourceName, count: stored.count, unit: stored.unit };
+    }
+    if (item.explicitQty) {
+      return { name: item.name, sourceName: item.sourceName, count: item.qty, unit: STEM_COUNT_UNIT };
+    }
+    return { name: item.name, sourceName: item.sourceName, count: 1, unit: STEM_ESTIMATE_UNIT };
+  });
+}
+
+// Compositions typed in as a feed override are taken as given, without reading the name or description
+export function fixedConsistCounts(items) {
+  return items.map((item) => ({
+    name: normaliseIngredient(item.name) || item.name,
+    sourceName: item.name,
+    count: item.qty,
+    unit: item.explicitQty ? STEM_COUNT_UNIT : STEM_ESTIMATE_UNIT
+  }));
+}
@@ -4,9 +4,12 @@ import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startFeedScheduler } from "./feedScheduler.server";
 
 export const streamTimeout = 5000;
 
+startFeedScheduler();
+
 export default async function handleRequest(
   request,
   responseStatusCode,
@@ -0,0 +1,206 @@
+import { createHash, randomBytes } from "crypto";
+import prisma from "./db.server.js";
+
+const FETCH_LOG_RETENTION_DAYS = 30;
+const FETCH_LOG_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+function headerName(...parts) {
+  return parts.join(String.fromCharCode(45));
+}
+
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+// Behind the hosting proxy the client address only arrives in forwarding headers, which a client can also send
+// itself. X-Real-IP is read only when the proxy is known to overwrite it; otherwise only the X-Forwarded-For
+// entries appended by trusted proxies (counted from the right) are believed.
+export function getClientIp(request) {
+  if (process.env.FEED_PROXY_SETS_REAL_IP === "true") {
+    const realIp = (request.headers.get(headerName("X", "Real", "IP")) || "").trim();
+    return realIp.replace(/^::ffff:/, "") || "unknown";
+  }
+  const forwarded = (request.headers.get(headerName("X", "Forwarded", "For")) || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  const trustedHops = Math.max(1, parseInt(process.env.FEED_TRUSTED_PROXY_HOPS || "1", 10) || 1);
+  const ip = forwarded[Math.max(0, forwarded.length - trustedHops)] || "";
+  return ip.replace(/^::ffff:/, "") || "unknown";
+}
+
+function ipv4ToNumber(ip) {
+  const parts = ip.split(".");
+  if (parts.length !== 4 || parts.some((part) => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+// Entries are single addresses or IPv4 CIDR ranges such as 203.0.113.0/24
+export function parseIpAllowlist(value) {
+  const entries = String(value || "")
+    .split(/[\n,]/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  for (const entry of entries) {
+    const [address, bits] = entry.split("/");
+    const validRange = bits === undefined || (/^\d{1,2}$/.test(bits) && Number(bits) <= 32 && ipv4ToNumber(address) !== null);
+    if (!validRange || (!address.includes(":") && ipv4ToNumber(address) === null)) {
+      throw new Error(`Invalid IP allowlist entry "${entry}", expected an address or an IPv4 range like 203.0.113.0/24`);
+    }
+  }
+  return [...new Set(entries)];
+}
+
+export function isIpAllowed(ip, allowlist) {
+  if (allowlist.length === 0) {
+    return true;
+  }
+  const ipNumber = ipv4ToNumber(ip);
+  return allowlist.some((entry) => {
+    const [address, bits] = entry.split("/");
+    if (bits === undefined || ipNumber === null) {
+      return address.toLowerCase() === ip.toLowerCase();
+    }
+    const size = 2 ** (32 - Number(bits));
+    return Math.floor(ipNumber / size) === Math.floor(ipv4ToNumber(address) / size);
+  });
+}
+
+// A token can be sent as ?token=... or as the Basic auth password, for marketplaces that only support one
+function readRequestToken(request) {
+  const queryToken = new URL(request.url).searchParams.get("token");
+  if (queryToken) {
+    return queryToken;
+  }
+  const authorization = request.headers.get("Authorization") || "";
+  if (!authorization.startsWith("Basic ")) {
+    return null;
+  }
+  const credentials = Buffer.from(authorization.slice(6), "base64").toString("utf8");
+  return credentials.slice(credentials.indexOf(":") + 1) || null;
+}
+
+export async function getFeedAccess(shop, feed) {
+  const access = await prisma.feedAccess.findUnique({ where: { shop_feed: { shop, feed } } });
+  return access || { shop, feed, requireToken: false, ipAllowlist: [] };
+}
+
+// Returns the denial response, or null with the matched token when the request may proceed
+export async function authorizeFeedRequest(request, shop, feed) {
+  const access = await getFeedAccess(shop, feed);
+  const ip = getClientIp(request);
+  if (!isIpAllowed(ip, access.ipAllowlist)) {
+    return { denied: new Response("Forbidden", { status: 403 }), tokenId: null };
+  }
+
+  const token = readRequestToken(request);
+  const tokenRecord = token
+    ? await prisma.feedAccessToken.findFirst({
+      where: { shop, feed, tokenHash: hashToken(token), revokedAt: null }
+    })
+    : null;
+  if (access.requireToken && !tokenRecord) {
+    return {
+      denied: new Response("Unauthorized", {
+        status: 401,
+        headers: { [headerName("WWW", "Authenticate")]: "Basic realm=\"Product feed\"" }
+      }),
+      tokenId: null
+    };
+  }
+
+  if (tokenRecord) {
+    await prisma.feedAccessToken.update({ where: { id: tokenRecord.id }, data: { lastUsedAt: new Date() } });
+  }
+  return { denied: null, tokenId: tokenRecord?.id || null };
+}
+
+function getPruneTimes() {
+  if (!global.feedFetchLogPrunedGlobal) {
+    global.feedFetchLogPrunedGlobal = new Map();
+  }
+  return global.feedFetchLogPrunedGlobal;
+}
+
+export async function logFeedFetch(request, shop, feed, status, tokenId) {
+  await prisma.feedFetchLog.create({
+    data: {
+      shop,
+      feed,
+      ip: getClientIp(request),
+      userAgent: (request.headers.get(headerName("User", "Agent")) || "").slice(0, 500),
+      status,
+      tokenId
+    }
+  });
+
+  // Marketplaces poll every few minutes, so old entries are cleared at most once an hour
+  const pruneTimes = getPruneTimes();
+  if (Date.now() - (pruneTimes.get(shop) || 0) > FETCH_LOG_PRUNE_INTERVAL_MS) {
+    pruneTimes.set(shop, Date.now());
+    await prisma.feedFetchLog.deleteMany({
+      where: { shop, createdAt: { lt: new Date(Date.now() - FETCH_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000) } }
+    });
+  }
+}
+
+export async function saveFeedAccess(shop, feed, formData) {
+  const data = {
+    requireToken: formData.get("requireToken") === "true",
+    ipAllowlist: parseIpAllowlist(formData.get("ipAllowlist"))
+  };
+  await prisma.feedAccess.upsert({
+    where: { shop_feed: { shop, feed } },
+    create: { shop, feed, ...data },
+    update: data
+  });
+}
+
+// The plain token is returned only here; afterwards just its last characters are shown
+export async function createFeedAccessToken(shop, feed, label) {
+  const name = String(label || "").trim();
+  if (!name) {
+    throw new Error("Give the token a label, such as the marketplace that will use it");
+  }
+  const token = randomBytes(24).toString("hex");
+  await prisma.feedAccessToken.create({
+    data: { shop, feed, label: name, tokenHash: hashToken(token), tokenHint: token.slice(-4) }
+  });
+  return token;
+}
+
+export async function revokeFeedAccessToken(shop, tokenId) {
+  const { count } = await prisma.feedAccessToken.updateMany({
+    where: { id: tokenId, shop, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  if (count === 0) {
+    throw new Error("Access token not found or already revoked");
+  }
+}
+
+export async function getFeedAccessOverview(shop) {
+  const accessRows = await prisma.feedAccess.findMany({ where: { shop } });
+  const tokens = await prisma.feedAccessToken.findMany({
+    where: { shop, revokedAt: null },
+    orderBy: { createdAt: "desc" }
+  });
+  const recentFetches = await prisma.feedFetchLog.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take: 25
+  });
+  const lastFetches = await prisma.feedFetchLog.groupBy({
+    by: ["feed"],
+    where: { shop, status: { in: [200, 304] } },
+    _max: { createdAt: true }
+  });
+  return {
+    access: Object.fromEntries(accessRows.map((row) => [row.feed, row])),
+    tokens,
+    recentFetches,
+    lastFetchedAt: Object.fromEntries(lastFetches.map((row) => [row.feed, row._max.createdAt]))
+  };
+}
@@ -0,0 +1,90 @@
+import prisma from "./db.server.js";
+
+const CACHE_WRITE_BATCH_SIZE = 1000;
+
+// Writing a whole catalog takes far longer than the default 5 second limit of an interactive transaction
+const CACHE_TRANSACTION_OPTIONS = { maxWait: 10000, timeout: 120000 };
+
+function toCacheRow(shop, variant) {
+  return {
+    shop,
+    variantId: variant.id,
+    productId: variant.product?.id || "",
+    data: variant
+  };
+}
+
+function recordProductChange(shop, productId) {
+  const changedAt = new Date();
+  return prisma.feedProductChange.upsert({
+    where: { shop_productId: { shop, productId } },
+    create: { shop, productId, changedAt },
+    update: { changedAt }
+  });
+}
+
+// A crawl reads the catalog as it was when it started, so anything a webhook wrote since then wins: variants
+// with a newer cached row keep it, and products a webhook rewrote or deleted are left as the webhook left them.
+// Change records the crawl has caught up with are pruned.
+export async function replaceFeedCache(shop, variants, crawlStartedAt) {
+  await prisma.$transaction(async (tx) => {
+    await tx.feedVariant.deleteMany({ where: { shop, updatedAt: { lte: crawlStartedAt } } });
+    const fresher = await tx.feedVariant.findMany({
+      where: { shop },
+      select: { variantId: true }
+    });
+    const freshVariantIds = new Set(fresher.map((row) => row.variantId));
+    const changes = await tx.feedProductChange.findMany({
+      where: { shop, changedAt: { gt: crawlStartedAt } },
+      select: { productId: true }
+    });
+    const changedProductIds = new Set(changes.map((change) => change.productId));
+
+    const rows = variants
+      .filter((variant) => variant.id && !freshVariantIds.has(variant.id) && !changedProductIds.has(variant.product?.id || ""))
+      .map((variant) => toCacheRow(shop, variant));
+    for (let start = 0; start < rows.length; start += CACHE_WRITE_BATCH_SIZE) {
+      await tx.feedVariant.createMany({
+        data: rows.slice(start, start + CACHE_WRITE_BATCH_SIZE),
+        skipDuplicates: true
+      });
+    }
+    await tx.feedProductChange.deleteMany({ where: { shop, changedAt: { lte: crawlStartedAt } } });
+  }, CACHE_TRANSACTION_OPTIONS);
+}
+
+// Replaces every cached variant of the product so variants removed in Shopify drop out too
+export async function replaceProductVariants(shop, productId, variants) {
+  await prisma.$transaction([
+    prisma.feedVariant.deleteMany({ where: { shop, productId } }),
+    prisma.feedVariant.createMany({
+      data: variants.map((variant) => toCacheRow(shop, variant))
+    }),
+    recordProductChange(shop, productId)
+  ]);
+}
+
+export async function upsertCachedVariant(shop, variant) {
+  const row = toCacheRow(shop, variant);
+  await prisma.feedVariant.upsert({
+    where: { shop_variantId: { shop, variantId: variant.id } },
+    create: row,
+    update: { productId: row.productId, data: row.data }
+  });
+}
+
+// The change record stands in for the deleted rows, so a crawl that started earlier does not bring them back
+export async function deleteCachedProduct(shop, productId) {
+  await prisma.$transaction([
+    prisma.feedVariant.deleteMany({ where: { shop, productId } }),
+    recordProductChange(shop, productId)
+  ]);
+}
+
+export async function loadCachedVariants(shop) {
+  const rows = await prisma.feedVariant.findMany({
+    where: { shop },
+    orderBy: { id: "asc" }
+  });
+  return rows.map((row) => row.data);
+}
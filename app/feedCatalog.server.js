@@ -0,0 +1,480 @@
+import { MAX_FEED_PICTURES, metafieldAlias } from "./feedHelper.js";
+
+const BULK_POLL_INTERVAL_MS = 2000;
+const BULK_TIMEOUT_MS = 30 * 60 * 1000;
+// Each variant pulls its product's collections and media, which keeps larger pages over the query cost limit
+const VARIANT_PAGE_SIZE = 20;
+const MARKET_PRICE_PAGE_SIZE = 100;
+
+// Shared by the bulk and paginated queries so both paths hand buildXmlFeed the same shape
+const VARIANT_FIELDS = `
+  id
+  title
+  price
+  compareAtPrice
+  inventoryQuantity
+  image {
+    url
+  }
+`;
+
+const PRODUCT_FIELDS = `
+  id
+  title
+  handle
+  productType
+  description
+  featuredImage {
+    url
+  }
+  composition: metafield(namespace: "custom", key: "composition") {
+    value
+  }
+  type: metafield(namespace: "custom", key: "type") {
+    value
+  }
+  collections(first: 10) {
+    edges {
+      node {
+        id
+        handle
+      }
+    }
+  }
+  media(first: ${MAX_FEED_PICTURES}) {
+    edges {
+      node {
+        id
+        ... on MediaImage {
+          image {
+            url
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Param metafields are configured per shop, so they are selected under stable aliases on both product and variant
+function metafieldFields(metafields = []) {
+  return metafields
+    .map((metafield) => `${metafieldAlias(metafield)}: metafield(namespace: ${JSON.stringify(metafield.namespace)}, key: ${JSON.stringify(metafield.key)}) {
+      value
+    }`)
+    .join("\n");
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function createAdminClient(shop, accessToken) {
+  const dash = String.fromCharCode(45);
+  const apiVersion = ["2025", "10"].join(dash);
+  const url = `https://${shop}/admin/api/${apiVersion}/graphql.json`;
+
+  const tokenHeader = ["X", "Shopify", "Access", "Token"].join(dash);
+  const contentTypeHeader = ["Content", "Type"].join(dash);
+
+  return async function graphql(query, variables) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        [tokenHeader]: accessToken,
+        [contentTypeHeader]: "application/json"
+      },
+      body: JSON.stringify({ query, variables })
+    });
+
+    if (!response.ok) {
+      const errText = await response.text();
+      throw new Error(errText);
+    }
+
+    const result = await response.json();
+    if (result.errors) {
+      throw new Error(JSON.stringify(result.errors));
+    }
+    return result.data;
+  };
+}
+
+export async function fetchShopData(graphql) {
+  const data = await graphql(`
+    query {
+      shop {
+        name
+        url
+        currencyCode
+      }
+    }
+  `);
+  return data?.shop || {};
+}
+
+// Only region markets with at least one country can price a feed; their first web presence gives the storefront URL
+export async function fetchMarkets(graphql) {
+  const data = await graphql(`
+    query {
+      markets(first: 50) {
+        edges {
+          node {
+            id
+            name
+            handle
+            status
+            conditions {
+              regionsCondition {
+                regions(first: 250) {
+                  edges {
+                    node {
+                      ... on MarketRegionCountry {
+                        code
+                      }
+                    }
+                  }
+                }
+              }
+            }
+            currencySettings {
+              baseCurrency {
+                currencyCode
+              }
+            }
+            webPresences(first: 1) {
+              edges {
+                node {
+                  rootUrls {
+                    locale
+                    url
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `);
+
+  return (data?.markets?.edges || [])
+    .map((edge) => edge.node)
+    .filter((market) => market.status === "ACTIVE")
+    .map((market) => ({
+      marketId: market.id,
+      name: market.name,
+      handle: market.handle,
+      countryCodes: (market.conditions?.regionsCondition?.regions?.edges || [])
+        .map((edge) => edge.node?.code)
+        .filter(Boolean),
+      currencyCode: market.currencySettings?.baseCurrency?.currencyCode || null,
+      url: market.webPresences?.edges?.[0]?.node?.rootUrls?.[0]?.url || null
+    }))
+    .filter((market) => market.countryCodes.length > 0);
+}
+
+// Prices as a buyer in the country sees them, keyed by variant GID: [price, compareAtPrice, currencyCode]
+export async function fetchMarketPrices(graphql, countryCode, onProgress) {
+  const query = `
+    query getMarketPrices($first: Int!, $after: String, $country: CountryCode!) {
+      productVariants(first: $first, after: $after) {
+        edges {
+          node {
+            id
+            contextualPricing(context: { country: $country }) {
+              price {
+                amount
+                currencyCode
+              }
+              compareAtPrice {
+                amount
+              }
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  let hasNextPage = true;
+  let cursor = null;
+  const prices = {};
+
+  while (hasNextPage) {
+    const data = await graphql(query, { first: MARKET_PRICE_PAGE_SIZE, after: cursor, country: countryCode });
+
+    for (const edge of data?.productVariants?.edges || []) {
+      const pricing = edge.node?.contextualPricing;
+      if (pricing?.price) {
+        prices[edge.node.id] = [pricing.price.amount, pricing.compareAtPrice?.amount || null, pricing.price.currencyCode];
+      }
+    }
+
+    const pageInfo = data?.productVariants?.pageInfo;
+    hasNextPage = pageInfo?.hasNextPage || false;
+    cursor = pageInfo?.endCursor || null;
+    await onProgress?.({ marketVariantsPriced: Object.keys(prices).length });
+
+    if (hasNextPage) {
+      await sleep(500);
+    }
+  }
+
+  return prices;
+}
+
+export async function fetchVariantsPaginated(graphql, metafields, onProgress) {
+  const query = `
+    query getProductVariants($first: Int!, $after: String) {
+      productVariants(first: $first, after: $after) {
+        edges {
+          node {
+            ${VARIANT_FIELDS}
+            ${metafieldFields(metafields)}
+            product {
+              ${PRODUCT_FIELDS}
+              ${metafieldFields(metafields)}
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  let hasNextPage = true;
+  let cursor = null;
+  let pagesFetched = 0;
+  const allVariants = [];
+
+  while (hasNextPage) {
+    const data = await graphql(query, { first: VARIANT_PAGE_SIZE, after: cursor });
+
+    const edgeNodes = data?.productVariants?.edges || [];
+    for (const edge of edgeNodes) {
+      if (edge.node) {
+        allVariants.push(edge.node);
+      }
+    }
+
+    const pageInfo = data?.productVariants?.pageInfo;
+    hasNextPage = pageInfo?.hasNextPage || false;
+    cursor = pageInfo?.endCursor || null;
+    pagesFetched++;
+    await onProgress?.({ pagesFetched, variantsFetched: allVariants.length });
+
+    if (hasNextPage) {
+      await sleep(500);
+    }
+  }
+
+  return allVariants;
+}
+
+// Bulk output is JSONL: each product line is followed by its variant, collection and media lines, linked
+// through __parentId. Collections and media are folded back into the edges shape the paginated query returns.
+// Media is capped at MAX_FEED_PICTURES here as well, matching the paginated query.
+export function parseBulkVariants(jsonlData) {
+  const products = new Map();
+  const variants = [];
+
+  const lines = jsonlData.trim().split("\n").filter((line) => line.trim());
+  for (const line of lines) {
+    const record = JSON.parse(line);
+    if (!record.__parentId) {
+      products.set(record.id, { ...record, collections: { edges: [] }, media: { edges: [] } });
+      continue;
+    }
+    const { __parentId, ...node } = record;
+    const product = products.get(__parentId) || null;
+    if (node.id.includes("/Collection/")) {
+      product?.collections.edges.push({ node });
+      continue;
+    }
+    if (!node.id.includes("/ProductVariant/")) {
+      if (product && product.media.edges.length < MAX_FEED_PICTURES) {
+        product.media.edges.push({ node });
+      }
+      continue;
+    }
+    variants.push({ ...node, product });
+  }
+
+  return variants;
+}
+
+async function isBulkOperationRunning(graphql) {
+  const data = await graphql(`
+    query {
+      currentBulkOperation {
+        id
+        status
+      }
+    }
+  `);
+  const currentOp = data?.currentBulkOperation;
+  return !!currentOp && (currentOp.status === "RUNNING" || currentOp.status === "CREATED");
+}
+
+// Returns null when another bulk operation holds the shop's slot, so the caller can fall back to paging
+export async function fetchVariantsBulk(graphql, metafields, onProgress) {
+  if (await isBulkOperationRunning(graphql)) {
+    return null;
+  }
+
+  const data = await graphql(`
+    mutation {
+      bulkOperationRunQuery(
+        query: """
+        {
+          products {
+            edges {
+              node {
+                ${PRODUCT_FIELDS}
+                ${metafieldFields(metafields)}
+                variants {
+                  edges {
+                    node {
+                      ${VARIANT_FIELDS}
+                      ${metafieldFields(metafields)}
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+        """
+      ) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `);
+
+  const userErrors = data?.bulkOperationRunQuery?.userErrors || [];
+  if (userErrors.some((error) => error.code === "OPERATION_IN_PROGRESS")) {
+    return null;
+  }
+  if (userErrors.length > 0) {
+    throw new Error(userErrors[0].message);
+  }
+
+  const operationId = data.bulkOperationRunQuery.bulkOperation.id;
+  const startedAt = Date.now();
+
+  while (Date.now() - startedAt < BULK_TIMEOUT_MS) {
+    await sleep(BULK_POLL_INTERVAL_MS);
+
+    const statusData = await graphql(
+      `
+        query getBulkOperation($id: ID!) {
+          node(id: $id) {
+            ... on BulkOperation {
+              id
+              status
+              errorCode
+              objectCount
+              url
+            }
+          }
+        }
+      `,
+      { id: operationId }
+    );
+    const operation = statusData?.node;
+    // Bulk runs have no pages; the object count covers products, variants, collections and media lines
+    await onProgress?.({ objectsFetched: Number(operation?.objectCount || 0) });
+
+    if (operation?.status === "COMPLETED") {
+      // No url means the query matched nothing
+      if (!operation.url) {
+        return [];
+      }
+      const response = await fetch(operation.url);
+      if (!response.ok) {
+        throw new Error(`Bulk operation download failed with status ${response.status}`);
+      }
+      const variants = parseBulkVariants(await response.text());
+      await onProgress?.({ variantsFetched: variants.length });
+      return variants;
+    }
+
+    if (!operation || ["FAILED", "CANCELED", "CANCELING", "EXPIRED"].includes(operation.status)) {
+      throw new Error(`Bulk operation ${operationId} ended with status ${operation?.status} (${operation?.errorCode || "no error code"})`);
+    }
+  }
+
+  throw new Error(`Bulk operation ${operationId} did not finish within ${BULK_TIMEOUT_MS / 60000} minutes`);
+}
+
+export async function fetchProductVariants(graphql, productId, metafields) {
+  const data = await graphql(
+    `
+      query getProduct($id: ID!) {
+        product(id: $id) {
+          ${PRODUCT_FIELDS}
+          ${metafieldFields(metafields)}
+          variants(first: 250) {
+            edges {
+              node {
+                ${VARIANT_FIELDS}
+                ${metafieldFields(metafields)}
+              }
+            }
+          }
+        }
+      }
+    `,
+    { id: productId }
+  );
+
+  const product = data?.product;
+  if (!product) {
+    return null;
+  }
+  const { variants, ...productFields } = product;
+  return (variants?.edges || []).map((edge) => ({ ...edge.node, product: productFields }));
+}
+
+export async function fetchInventoryItemVariant(graphql, inventoryItemId, metafields) {
+  const data = await graphql(
+    `
+      query getInventoryItem($id: ID!) {
+        inventoryItem(id: $id) {
+          variant {
+            ${VARIANT_FIELDS}
+            ${metafieldFields(metafields)}
+            product {
+              ${PRODUCT_FIELDS}
+              ${metafieldFields(metafields)}
+            }
+          }
+        }
+      }
+    `,
+    { id: inventoryItemId }
+  );
+  return data?.inventoryItem?.variant || null;
+}
+
+export async function fetchFeedVariants(graphql, metafields, onProgress) {
+  const bulkVariants = await fetchVariantsBulk(graphql, metafields, onProgress);
+  if (bulkVariants) {
+    return bulkVariants;
+  }
+  console.log("Another bulk operation is running, falling back to paginated variant fetch");
+  return fetchVariantsPaginated(graphql, metafields, onProgress);
+}
@@ -0,0 +1,45 @@
+import prisma from "./db.server.js";
+
+// Marketplace category IDs share the feed's category list with ours, so new types skip any ID a mapping uses
+async function getMappedCategoryIds(shop) {
+  const mappings = await prisma.feedCategoryMapping.findMany({
+    where: { shop },
+    select: { marketplaceCategoryId: true, parentCategoryId: true }
+  });
+  return new Set(mappings.flatMap((mapping) => [mapping.marketplaceCategoryId, mapping.parentCategoryId]).filter(Boolean));
+}
+
+// Marketplaces map our category IDs onto their own taxonomy, so an ID is never renumbered or reused.
+// Types that disappear from the catalog keep their row and ID; new types take the next free ID.
+export async function assignCategoryIds(shop, typeNames) {
+  const existing = await prisma.feedCategory.findMany({ where: { shop } });
+  const idsByName = new Map(existing.map((category) => [category.name, category.categoryId]));
+  const mappedIds = await getMappedCategoryIds(shop);
+  let nextId = existing.reduce((max, category) => Math.max(max, category.categoryId), 0) + 1;
+
+  const newCategories = [];
+  for (const name of typeNames) {
+    if (!idsByName.has(name)) {
+      while (mappedIds.has(String(nextId))) {
+        nextId++;
+      }
+      idsByName.set(name, nextId);
+      newCategories.push({ shop, name, categoryId: nextId });
+      nextId++;
+    }
+  }
+
+  await prisma.$transaction([
+    prisma.feedCategory.createMany({ data: newCategories }),
+    prisma.feedCategory.updateMany({
+      where: { shop, name: { in: typeNames } },
+      data: { lastSeenAt: new Date() }
+    })
+  ]);
+
+  const categoriesMap = new Map();
+  for (const name of typeNames) {
+    categoriesMap.set(name, idsByName.get(name));
+  }
+  return categoriesMap;
+}
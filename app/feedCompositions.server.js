@@ -0,0 +1,184 @@
+import prisma from "./db.server.js";
+import {
+  STEM_COUNT_UNIT,
+  STEM_ESTIMATE_UNIT,
+  compositionImageKey,
+  ingredientsKey,
+  normaliseIngredient
+} from "./compositionHelper.js";
+
+const STEM_COUNT_COLUMNS = ["offer_id", "ingredient", "count", "type"];
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        value += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(value);
+      value = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+  if (value || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+function parseStemCount(value) {
+  const count = parseInt(value, 10);
+  return Number.isInteger(count) && count > 0 ? count : null;
+}
+
+async function replaceCompositions(shop, source, entries) {
+  if (entries.length === 0) {
+    return;
+  }
+  // Entries not in the file are kept, so a partial export never wipes earlier imports
+  await prisma.$transaction([
+    prisma.feedComposition.deleteMany({
+      where: {
+        shop,
+        OR: entries.map(({ offerId, imageUrl, ingredients }) => ({ offerId, imageUrl, ingredients }))
+      }
+    }),
+    prisma.feedComposition.createMany({
+      data: entries.map((entry) => ({ ...entry, shop, source }))
+    })
+  ]);
+}
+
+// stem_counts.csv: one row per offer ingredient, as written by count_stems.py
+export async function importStemCountCsv(shop, text) {
+  const [header, ...rows] = parseCsv(String(text || "").replace(/^\uFEFF/, ""));
+  const columns = (header || []).map((column) => column.trim().toLowerCase());
+  const missing = STEM_COUNT_COLUMNS.filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Stem count CSV is missing columns: ${missing.join(", ")}`);
+  }
+
+  const byOffer = new Map();
+  let skipped = 0;
+  for (const cells of rows) {
+    const record = Object.fromEntries(columns.map((column, index) => [column, (cells[index] || "").trim()]));
+    const count = parseStemCount(record.count);
+    // "at least" rows are estimates, the feed falls back to its own estimate for those
+    if (!/^\d+$/.test(record.offer_id) || !record.ingredient || !count || record.type === STEM_ESTIMATE_UNIT) {
+      skipped++;
+      continue;
+    }
+    const counts = byOffer.get(record.offer_id) || {};
+    const ingredient = normaliseIngredient(record.ingredient) || record.ingredient;
+    counts[ingredient] = { count, unit: record.type || STEM_COUNT_UNIT };
+    byOffer.set(record.offer_id, counts);
+  }
+
+  const entries = Array.from(byOffer.entries()).map(([offerId, counts]) => ({
+    offerId,
+    imageUrl: "",
+    ingredients: "",
+    counts
+  }));
+  await replaceCompositions(shop, "CSV", entries);
+  return { imported: entries.length, skipped };
+}
+
+// stem_count_progress.json: keys are JSON [imageUrl, [ingredients]], values {counts, ok} or {error}
+export async function importVisionProgress(shop, text) {
+  let progress;
+  try {
+    progress = JSON.parse(String(text || ""));
+  } catch (err) {
+    throw new Error(`Vision progress file is not valid JSON: ${err.message}`);
+  }
+  if (!progress || typeof progress !== "object" || Array.isArray(progress)) {
+    throw new Error("Vision progress file must be a JSON object");
+  }
+
+  const entries = [];
+  let skipped = 0;
+  for (const [key, value] of Object.entries(progress)) {
+    let imageUrl;
+    let ingredients;
+    try {
+      [imageUrl, ingredients] = JSON.parse(key);
+    } catch (err) {
+      skipped++;
+      continue;
+    }
+    if (!value?.ok || !value.counts || !imageUrl || !Array.isArray(ingredients)) {
+      skipped++;
+      continue;
+    }
+
+    const counts = {};
+    for (const [ingredient, rawCount] of Object.entries(value.counts)) {
+      const count = parseStemCount(rawCount);
+      if (count) {
+        counts[ingredient] = { count, unit: STEM_COUNT_UNIT };
+      }
+    }
+    entries.push({
+      offerId: "",
+      imageUrl,
+      ingredients: ingredientsKey(ingredients),
+      counts
+    });
+  }
+
+  await replaceCompositions(shop, "VISION", entries);
+  return { imported: entries.length, skipped };
+}
+
+export async function getStoredCompositions(shop) {
+  const rows = await prisma.feedComposition.findMany({ where: { shop } });
+  const byOffer = new Map();
+  const byImage = new Map();
+  for (const row of rows) {
+    if (row.offerId) {
+      byOffer.set(row.offerId, row.counts);
+    } else {
+      byImage.set(compositionImageKey(row.imageUrl, row.ingredients.split("|")), row.counts);
+    }
+  }
+  return { byOffer, byImage };
+}
+
+export async function getCompositionStats(shop) {
+  const groups = await prisma.feedComposition.groupBy({
+    by: ["source"],
+    where: { shop },
+    _count: { _all: true },
+    _max: { updatedAt: true }
+  });
+  return Object.fromEntries(groups.map((group) => [
+    group.source,
+    { count: group._count._all, updatedAt: group._max.updatedAt }
+  ]));
+}
@@ -0,0 +1,147 @@
+import { FEED_TARGETS } from "./feedHelper.js";
+
+// Every file the worker writes is described here; see feedTemplates.js for the definition format
+
+function ymlFeed(target) {
+  return {
+    name: target,
+    label: FEED_TARGETS[target],
+    fileName: `${target}.xml`,
+    contentType: "text/xml",
+    format: "xml",
+    formatLabel: "XML",
+    target,
+    xml: {
+      tag: "yml_catalog",
+      attributes: { date: "date" },
+      children: [
+        {
+          tag: "shop",
+          children: [
+            { tag: "name", value: "shop.name" },
+            { tag: "company", value: "shop.company" },
+            { tag: "url", value: "shop.url" },
+            {
+              tag: "categories",
+              children: [
+                {
+                  tag: "category",
+                  each: "categories",
+                  attributes: { id: "id", parentId: "parentId" },
+                  value: "name"
+                }
+              ]
+            }
+          ]
+        },
+        {
+          tag: "offers",
+          children: [
+            {
+              tag: "offer",
+              each: "offers",
+              attributes: { id: "id", available: { field: "available", transform: ["boolean"] } },
+              children: [
+                { tag: "url", value: "url" },
+                { tag: "name", value: "name" },
+                { tag: "categoryId", value: "categoryId" },
+                { tag: "picture", each: "pictures", value: "." },
+                { tag: "price", value: "price" },
+                { tag: "oldprice", value: "oldPrice" },
+                { tag: "currencyId", value: "currencyId" },
+                { tag: "description", value: "description" },
+                { tag: "param", each: "params", attributes: { name: "name" }, value: "value" },
+                { tag: "qty", value: "qty", omitEmpty: true },
+                { tag: "consist", each: "consist", attributes: { name: "name", unit: "unit" }, value: "count" }
+              ]
+            }
+          ]
+        }
+      ]
+    }
+  };
+}
+
+export const FLOWWOW_FEED = ymlFeed("flowwow");
+export const UDORA_FEED = ymlFeed("udora");
+
+// Google Merchant Center RSS 2.0; the regular price is the compare-at price when the variant is on sale
+export const GOOGLE_FEED = {
+  name: "google",
+  label: "Google Merchant Center",
+  fileName: "google.xml",
+  contentType: "text/xml",
+  format: "xml",
+  formatLabel: "RSS",
+  xml: {
+    tag: "rss",
+    attributes: { version: { literal: "2.0" }, "xmlns:g": { literal: "http://base.google.com/ns/1.0" } },
+    children: [
+      {
+        tag: "channel",
+        children: [
+          { tag: "title", value: "shop.name" },
+          { tag: "link", value: "shop.url" },
+          { tag: "description", value: { template: "{shop.name} product feed" } },
+          {
+            tag: "item",
+            each: "offers",
+            children: [
+              { tag: "g:id", value: "id" },
+              { tag: "g:title", value: { field: "name", transform: [["truncate", 150]] } },
+              { tag: "g:description", value: { field: "description", transform: [["truncate", 5000]] } },
+              { tag: "g:link", value: { template: "{url}?variant={id}" } },
+              { tag: "g:image_link", value: "pictures.0" },
+              { tag: "g:additional_image_link", each: "pictures", skip: 1, value: "." },
+              {
+                tag: "g:availability",
+                value: { field: "available", transform: [["map", { true: "in_stock", false: "out_of_stock" }]] }
+              },
+              { tag: "g:price", value: { field: "regularPrice", transform: ["price"] } },
+              { tag: "g:sale_price", value: { field: "salePrice", transform: ["price"] }, omitEmpty: true },
+              { tag: "g:product_type", value: "productType" },
+              { tag: "g:item_group_id", value: "productId" },
+              { tag: "g:condition", value: { literal: "new" } }
+            ]
+          }
+        ]
+      }
+    ]
+  }
+};
+
+// Meta (Facebook) catalog data feed; prices follow the same regular/sale split as the Google feed
+export const META_FEED = {
+  name: "meta",
+  label: "Meta Catalog",
+  fileName: "meta.csv",
+  contentType: "text/csv; charset=utf-8",
+  format: "csv",
+  formatLabel: "CSV",
+  columns: [
+    { header: "id", value: "id" },
+    { header: "title", value: { field: "name", transform: [["truncate", 200]] } },
+    { header: "description", value: { field: "description", transform: [["truncate", 9999]] } },
+    {
+      header: "availability",
+      value: { field: "available", transform: [["map", { true: "in stock", false: "out of stock" }]] }
+    },
+    { header: "condition", value: { literal: "new" } },
+    { header: "price", value: { field: "regularPrice", transform: ["price"] } },
+    { header: "sale_price", value: { field: "salePrice", transform: ["price"] } },
+    { header: "link", value: { template: "{url}?variant={id}" } },
+    { header: "image_link", value: "pictures.0" },
+    { header: "additional_image_link", value: { field: "pictures", transform: [["slice", 1], ["join", ","]] } },
+    { header: "brand", value: "shop.name" },
+    { header: "item_group_id", value: "productId" },
+    { header: "product_type", value: "productType" },
+    { header: "custom_label_0", value: "productType" }
+  ]
+};
+
+// The first definition's run is the one recorded in the feed history and exclusion report
+export const FEED_DEFINITIONS = [FLOWWOW_FEED, UDORA_FEED, GOOGLE_FEED, META_FEED];
+
+export function getFeedDefinition(name) {
+  return FEED_DEFINITIONS.find((definition) => definition.name === name) || null;
+}
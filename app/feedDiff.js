@@ -0,0 +1,82 @@
+import { STEM_ESTIMATE_UNIT } from "./compositionHelper.js";
+
+// Written next to the feed files after every run; the Feed page previews offers from it too
+export const OFFER_SNAPSHOT_FILE = "offers.json";
+
+// Each list keeps its full count but only this many entries, so a first sync of a big catalog stays small
+export const DIFF_LIST_LIMIT = 200;
+
+export const DIFF_CHANGE_TYPES = {
+  added: "Added",
+  removed: "Removed",
+  repriced: "Re-priced",
+  availability: "Availability flipped",
+  composition: "Composition changed"
+};
+
+function formatConsist(consist) {
+  return consist
+    .map((item) => `${item.name} ${item.count}${item.unit === STEM_ESTIMATE_UNIT ? "+" : ""}`)
+    .join(", ");
+}
+
+// Keyed by offer ID; the diff compares price, compare-at, availability and composition, the rest is for the preview.
+// Overridden fields are kept so the preview can tell merchant edits from Shopify data.
+export function snapshotOffers(offers, categories = []) {
+  const categoryNames = new Map(categories.map((category) => [String(category.id), category.name]));
+  return Object.fromEntries(offers.map((offer) => [offer.id, {
+    name: offer.name,
+    productId: offer.productId,
+    price: offer.exactPrice,
+    compareAt: offer.exactCompareAt,
+    available: offer.available,
+    consist: formatConsist(offer.consist),
+    category: categoryNames.get(String(offer.categoryId)) || String(offer.categoryId),
+    picture: offer.pictures[0] || "",
+    overriddenFields: offer.overriddenFields || []
+  }]));
+}
+
+export function diffFeedSnapshots(previous, current) {
+  const changes = Object.fromEntries(Object.keys(DIFF_CHANGE_TYPES).map((type) => [type, []]));
+
+  for (const [id, offer] of Object.entries(current)) {
+    const before = previous[id];
+    if (!before) {
+      changes.added.push({ id, name: offer.name, price: offer.price });
+      continue;
+    }
+    if (before.price !== offer.price || before.compareAt !== offer.compareAt) {
+      changes.repriced.push({
+        id,
+        name: offer.name,
+        before: before.price,
+        after: offer.price,
+        compareAtBefore: before.compareAt,
+        compareAtAfter: offer.compareAt
+      });
+    }
+    if (before.available !== offer.available) {
+      changes.availability.push({ id, name: offer.name, before: before.available, after: offer.available });
+    }
+    if (before.consist !== offer.consist) {
+      changes.composition.push({ id, name: offer.name, before: before.consist, after: offer.consist });
+    }
+  }
+  for (const [id, offer] of Object.entries(previous)) {
+    if (!current[id]) {
+      changes.removed.push({ id, name: offer.name, price: offer.price });
+    }
+  }
+
+  const counts = Object.fromEntries(Object.entries(changes).map(([type, list]) => [type, list.length]));
+  const truncated = Object.fromEntries(Object.entries(changes).map(([type, list]) => [
+    type,
+    list.sort((a, b) => a.name.localeCompare(b.name)).slice(0, DIFF_LIST_LIMIT)
+  ]));
+  return { counts, ...truncated };
+}
+
+export function countDiffChanges(diff) {
+  return diff ? Object.values(diff.counts).reduce((sum, count) => sum + count, 0) : 0;
+}
@@ -1,3 +1,10 @@
+import {
+  STEM_ESTIMATE_UNIT,
+  compositionImageKey,
+  fixedConsistCounts,
+  resolveConsistCounts
+} from "./compositionHelper.js";
+
 export function stripHtml(html) {
   return html.replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
 }
@@ -53,7 +60,7 @@ export function parseComposition(metafieldValue, typeValue) {
         const qty = parseInt(prefixMatch[2], 10);
         const name = prefixMatch[4].trim();
         if (name && qty > 0) {
-          items.push({ name, qty });
+          items.push({ name, qty, explicitQty: true });
           continue;
         }
       }
@@ -63,7 +70,7 @@ export function parseComposition(metafieldValue, typeValue) {
         const name = suffixMatch[1].trim();
         const qty = parseInt(suffixMatch[2], 10);
         if (name && qty > 0) {
-          items.push({ name, qty });
+          items.push({ name, qty, explicitQty: true });
           continue;
         }
       }
@@ -94,53 +101,302 @@ export function parseComposition(metafieldValue, typeValue) {
   return items;
 }
 
-export function buildXmlFeed(variants, shopInfo) {
-  const dash = String.fromCharCode(45);
-  const encoding = "UTF" + dash + "8";
-  const xmlHeader = `<?xml version="1.0" encoding="${encoding}"?>`;
-  const formattedDate = formatFeedDate();
-  
-  let xml = `${xmlHeader}\n`;
-  xml += `<yml_catalog date="${formattedDate}">\n`;
-  xml += "  <shop>\n";
-  xml += `    <name>${escapeXml(shopInfo.name)}</name>\n`;
-  xml += `    <company>${escapeXml(shopInfo.company)}</company>\n`;
-  xml += `    <url>${escapeXml(shopInfo.url)}</url>\n`;
-  xml += "    <categories>\n";
-  for (const cat of shopInfo.categories) {
-    xml += `      <category id="${cat.id}">${escapeXml(cat.name)}</category>\n`;
-  }
-  xml += "    </categories>\n";
-  xml += "  </shop>\n";
-  
-  xml += "  <offers>\n";
+export const DEFAULT_FEED_RULES = {
+  priceCap: 50000,
+  excludedProductTypes: ["test-product"],
+  nonFloralKeywords: ["plant", "bear", "vase", "balloon", "chocolate", "jewellery", "jewelry"],
+  floralConsistNames: [
+    "flowers", "rose", "hydrangea", "chrysanthemum", "lily", "tulip",
+    "orchid", "dahlia", "sunflower", "peony", "lavender", "carnation",
+    "gerbera", "snapdragon", "delphinium", "stock", "lisianthus",
+    "bouvardia", "hypericum", "eucalyptus", "waxflower", "alstroemeria",
+    "freesia", "anthurium", "eustoma"
+  ],
+  defaultProductType: "Bouquets",
+  // Each param is read from the variant metafield first, then the product metafield
+  paramMappings: [
+    { name: "width, mm", namespace: "custom", key: "width_mm" },
+    { name: "height, mm", namespace: "custom", key: "height_mm" }
+  ],
+  // Fallback param values per product type; "*" applies to every type
+  paramDefaults: {
+    "*": { "width, mm": "350", "height, mm": "400" }
+  },
+  pictureLimit: 5,
+  // Generated feeds kept for rollback, and the offer count drop (percent) that holds a feed back; null always publishes
+  versionLimit: 10,
+  maxOfferDropPercent: null
+};
+
+export const MAX_FEED_VERSIONS = 50;
 
+// The catalog query fetches this many product media, so it also caps the per-shop picture limit
+export const MAX_FEED_PICTURES = 10;
+
+// An overridden picture leads, then the variant image, the featured image and the rest of the product gallery
+export function collectPictures(variant, limit, leadPicture) {
+  const urls = [
+    leadPicture,
+    variant.image?.url,
+    variant.product?.featuredImage?.url,
+    ...(variant.product?.media?.edges || []).map((edge) => edge.node?.image?.url)
+  ];
+
+  const pictures = [];
+  const seen = new Set();
+  for (const url of urls) {
+    // The same file can come back with different ?v= cache busters
+    const fileKey = url ? url.split("?")[0] : "";
+    if (!fileKey || seen.has(fileKey)) {
+      continue;
+    }
+    seen.add(fileKey);
+    pictures.push(url);
+  }
+  return pictures.slice(0, limit);
+}
+
+const UNIT_FACTORS = {
+  MILLIMETERS: 1,
+  CENTIMETERS: 10,
+  METERS: 1000,
+  INCHES: 25.4,
+  FEET: 304.8,
+  GRAMS: 1,
+  KILOGRAMS: 1000,
+  OUNCES: 28.3495,
+  POUNDS: 453.592
+};
+
+export function metafieldAlias({ namespace, key }) {
+  return `mf_${namespace}__${key}`.replace(/[^A-Za-z0-9_]/g, "_");
+}
+
+// Dimension metafields are written in millimetres and weight metafields in grams
+export function formatMetafieldValue(value) {
+  if (value === null || value === undefined || value === "") {
+    return "";
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (err) {
+    return String(value).trim();
+  }
+  if (Array.isArray(parsed)) {
+    return parsed.map((item) => formatMetafieldValue(JSON.stringify(item))).filter(Boolean).join(", ");
+  }
+  if (parsed && typeof parsed === "object" && "value" in parsed) {
+    const factor = UNIT_FACTORS[parsed.unit];
+    return factor ? String(Math.round(parseFloat(parsed.value) * factor)) : String(parsed.value);
+  }
+  return typeof parsed === "object" ? String(value) : String(parsed);
+}
+
+export function resolveParams(variant, productType, rules = DEFAULT_FEED_RULES) {
+  const typeDefaults = rules.paramDefaults[productType] || {};
+  const globalDefaults = rules.paramDefaults["*"] || {};
+  const params = [];
+
+  for (const mapping of rules.paramMappings) {
+    const alias = metafieldAlias(mapping);
+    const value = formatMetafieldValue(variant[alias]?.value) ||
+      formatMetafieldValue(variant.product?.[alias]?.value) ||
+      typeDefaults[mapping.name] ||
+      globalDefaults[mapping.name] ||
+      "";
+    if (value) {
+      params.push({ name: mapping.name, value });
+    }
+  }
+
+  return params;
+}
+
+export const FEED_TARGETS = {
+  flowwow: "Flowwow",
+  udora: "Udora"
+};
+
+function findCategoryMapping(variant, productType, mappings) {
+  const collectionHandles = (variant.product?.collections?.edges || []).map((edge) => edge.node?.handle);
+  // A collection mapping is more specific than the product type, so it wins
+  return mappings.find(
+    (mapping) => mapping.sourceType === "COLLECTION" && collectionHandles.includes(mapping.sourceValue)
+  ) || mappings.find(
+    (mapping) => mapping.sourceType === "PRODUCT_TYPE" && mapping.sourceValue === productType
+  );
+}
+
+// Mapped product types are replaced by the marketplace category (and its parent); unmapped types keep their own ID
+export function buildCategoryTree(categories, mappings) {
+  const mappedTypes = new Set(
+    mappings.filter((mapping) => mapping.sourceType === "PRODUCT_TYPE").map((mapping) => mapping.sourceValue)
+  );
+  const tree = new Map();
+
+  for (const mapping of mappings) {
+    if (mapping.parentCategoryId && !tree.has(mapping.parentCategoryId)) {
+      tree.set(mapping.parentCategoryId, {
+        id: mapping.parentCategoryId,
+        name: mapping.parentCategoryName || mapping.parentCategoryId,
+        parentId: null
+      });
+    }
+    tree.set(mapping.marketplaceCategoryId, {
+      id: mapping.marketplaceCategoryId,
+      name: mapping.marketplaceCategoryName,
+      parentId: mapping.parentCategoryId || null
+    });
+  }
+
+  for (const category of categories) {
+    const id = String(category.id);
+    if (mappedTypes.has(category.name)) {
+      continue;
+    }
+    // Mappings can no longer take a type's ID and new types skip mapped IDs, but a clash saved before that
+    // still leaves the ID to the marketplace category
+    if (tree.has(id)) {
+      continue;
+    }
+    tree.set(id, { id, name: category.name, parentId: null });
+  }
+
+  return Array.from(tree.values());
+}
+
+export const OVERRIDE_FIELDS = {
+  name: "Name",
+  description: "Description",
+  picture: "Picture",
+  price: "Price",
+  composition: "Composition"
+};
+
+export function getOverriddenFields(override) {
+  if (!override) {
+    return [];
+  }
+  return Object.keys(OVERRIDE_FIELDS).filter((field) => override[field] !== null && override[field] !== undefined && override[field] !== "");
+}
+
+export const EXCLUSION_REASONS = {
+  EXCLUDED_TYPE: "Product type excluded by feed rules",
+  MISSING_ID: "Missing variant ID",
+  MISSING_HANDLE: "Product has no handle",
+  MISSING_NAME: "Product has no title",
+  ZERO_PRICE: "Price is zero",
+  PRICE_TOO_HIGH: "Price over the feed price cap",
+  MISSING_PICTURE: "No variant or product image"
+};
+
+// Stages a feed run reports in FeedRun.progress, in the order they happen
+export const FEED_RUN_STAGES = {
+  STARTING: "Starting",
+  FETCHING: "Fetching the catalog",
+  LOADING_CACHE: "Loading cached variants",
+  CACHING: "Caching variants",
+  PRICING: "Fetching market prices",
+  BUILDING: "Building feeds",
+  PUBLISHING: "Publishing"
+};
+
+export function isExcludedProductType(variant, rules = DEFAULT_FEED_RULES) {
+  const productType = (variant.product?.productType || "").toLowerCase().trim();
+  return rules.excludedProductTypes.some((excludedType) => excludedType.toLowerCase() === productType);
+}
+
+function getExclusionReason({ variant, variantId, productUrl, name, priceRaw, picture, rules }) {
+  if (isExcludedProductType(variant, rules)) {
+    return "EXCLUDED_TYPE";
+  }
+  if (!variantId) {
+    return "MISSING_ID";
+  }
+  if (!productUrl) {
+    return "MISSING_HANDLE";
+  }
+  if (!name) {
+    return "MISSING_NAME";
+  }
+  if (priceRaw <= 0) {
+    return "ZERO_PRICE";
+  }
+  if (priceRaw > rules.priceCap) {
+    return "PRICE_TOO_HIGH";
+  }
+  if (!picture) {
+    return "MISSING_PICTURE";
+  }
+  return null;
+}
+
+// Shared by every output format: applies overrides and exclusions, and works out availability and composition
+export function buildFeedOffers(variants, shopInfo, rules = DEFAULT_FEED_RULES) {
+  const dash = String.fromCharCode(45);
+  const categoryMappings = shopInfo.categoryMappings || [];
   const usedNames = new Set();
+  const overrides = shopInfo.overrides || new Map();
+  const compositions = shopInfo.compositions || { byOffer: new Map(), byImage: new Map() };
+  const floralConsistNames = new Set(rules.floralConsistNames.map((consistName) => consistName.toLowerCase()));
+  const offers = [];
+  const excluded = [];
+  // Offers still sending "at least" estimates, for the stem counter to pick up
+  const estimated = [];
 
   for (const variant of variants) {
     const variantId = variant.id ? variant.id.split("/").pop() : "";
+    const productId = variant.product?.id ? variant.product.id.split("/").pop() : "";
     const productTitle = variant.product?.title || "";
     const variantTitle = variant.title || "";
 
+    // Overrides are keyed by numeric variant ID and replace the Shopify value field by field
+    const override = overrides.get(variantId) || {};
+    const overridden = new Set(getOverriddenFields(override));
+
     let name = productTitle;
     if (variantTitle !== "Default Title" && variantTitle !== "") {
       name = `${productTitle} ${dash} ${variantTitle}`;
     }
+    if (overridden.has("name")) {
+      name = override.name;
+    }
 
-    const priceRaw = Math.round(parseFloat(variant.price || "0") || 0);
-    const compareAtRaw = Math.round(parseFloat(variant.compareAtPrice || "0") || 0);
+    // YML feeds take whole prices, formats like Google need the exact amount shown on the storefront
+    const exactPrice = overridden.has("price") ? override.price : parseFloat(variant.price || "0") || 0;
+    const exactCompareAt = parseFloat(variant.compareAtPrice || "0") || 0;
+    const priceRaw = Math.round(exactPrice);
+    const compareAtRaw = Math.round(exactCompareAt);
     const oldPrice = compareAtRaw > priceRaw ? compareAtRaw : priceRaw;
-    const picture = variant.image?.url || variant.product?.featuredImage?.url || "";
+    const pictures = collectPictures(
+      variant,
+      rules.pictureLimit ?? DEFAULT_FEED_RULES.pictureLimit,
+      overridden.has("picture") ? override.picture : null
+    );
+    const picture = pictures[0] || "";
     const rawDesc = variant.product?.description || "";
-    const description = rawDesc || stripHtml(variant.product?.descriptionHtml || "");
+    const description = overridden.has("description")
+      ? override.description
+      : rawDesc || stripHtml(variant.product?.descriptionHtml || "");
 
-    const rawType = variant.product?.productType || "Bouquets";
-    const categoryId = shopInfo.categoriesMap.get(rawType.trim()) || 1;
+    const rawType = variant.product?.productType || rules.defaultProductType;
+    const categoryMapping = findCategoryMapping(variant, rawType.trim(), categoryMappings);
+    const categoryId = categoryMapping
+      ? categoryMapping.marketplaceCategoryId
+      : shopInfo.categoriesMap.get(rawType.trim()) || 1;
 
     const productHandle = variant.product?.handle || "";
     const productUrl = productHandle ? `${shopInfo.url}/products/${productHandle}` : "";
 
-    if (!variantId || !productUrl || !name || priceRaw <= 0 || priceRaw > 50000 || !picture) {
+    const reason = getExclusionReason({ variant, variantId, productUrl, name, priceRaw, picture, rules });
+    if (reason) {
+      excluded.push({
+        variantId,
+        productId,
+        name: name || variantTitle,
+        reason
+      });
       continue;
     }
 
@@ -157,22 +413,27 @@ export function buildXmlFeed(variants, shopInfo) {
 
     const consistMetafield = variant.product?.composition?.value;
     const typeMetafield = variant.product?.type?.value;
-    const consistItems = parseComposition(consistMetafield, typeMetafield);
+    // Vision counts are stored and looked up under the same ingredient set: all the names the text left open
+    let unresolvedNames = [];
+    const consistItems = overridden.has("composition")
+      ? fixedConsistCounts(parseComposition(override.composition, null))
+      : resolveConsistCounts(
+        parseComposition(consistMetafield, typeMetafield),
+        name,
+        description,
+        (unresolved) => {
+          unresolvedNames = unresolved;
+          return compositions.byOffer.get(variantId) || compositions.byImage.get(compositionImageKey(picture, unresolved));
+        }
+      );
 
     const lowerType = rawType.toLowerCase();
     const isGiftCard = lowerType.includes("gift card");
-    const isNonFloral = isGiftCard || ["plant", "bear", "vase", "balloon", "chocolate", "jewellery", "jewelry"].some(
-      (kw) => lowerType.includes(kw)
+    const isNonFloral = isGiftCard || rules.nonFloralKeywords.some(
+      (kw) => lowerType.includes(kw.toLowerCase())
     );
-    const floralConsistNames = new Set([
-      "flowers", "rose", "hydrangea", "chrysanthemum", "lily", "tulip",
-      "orchid", "dahlia", "sunflower", "peony", "lavender", "carnation",
-      "gerbera", "snapdragon", "delphinium", "stock", "lisianthus",
-      "bouvardia", "hypericum", "eucalyptus", "waxflower", "alstroemeria",
-      "freesia", "anthurium", "eustoma"
-    ]);
     const hasFloralConsist = consistItems.some(
-      (item) => floralConsistNames.has(item.name.toLowerCase())
+      (item) => floralConsistNames.has(item.name.toLowerCase()) || floralConsistNames.has(item.sourceName.toLowerCase())
     );
     const shouldOmitQty = !isNonFloral || hasFloralConsist;
 
@@ -181,30 +442,48 @@ export function buildXmlFeed(variants, shopInfo) {
     const effectiveQty = isGiftCard && parsedQty === 0 ? 1 : parsedQty;
     const isAvailable = isGiftCard || shouldOmitQty || effectiveQty > 0;
 
-    xml += `      <offer id="${escapeXml(variantId)}" available="${isAvailable ? "true" : "false"}">\n`;
-    xml += `        <url>${escapeXml(productUrl)}</url>\n`;
-    xml += `        <name>${escapeXml(uniqueName)}</name>\n`;
-    xml += `        <categoryId>${categoryId}</categoryId>\n`;
-    xml += `        <picture>${escapeXml(picture)}</picture>\n`;
-    xml += `        <price>${priceRaw}</price>\n`;
-    xml += `        <oldprice>${oldPrice}</oldprice>\n`;
-    xml += `        <currencyId>${escapeXml(shopInfo.currencyCode)}</currencyId>\n`;
-    xml += `        <description>${escapeXml(finalDesc)}</description>\n`;
-    xml += '        <param name="width, mm">350</param>\n';
-    xml += '        <param name="height, mm">400</param>\n';
-
-    if (!shouldOmitQty && effectiveQty > 0) {
-      xml += `        <qty>${effectiveQty}</qty>\n`;
-    }
+    offers.push({
+      id: variantId,
+      productId,
+      available: isAvailable,
+      url: productUrl,
+      name: uniqueName,
+      categoryId,
+      productType: rawType.trim(),
+      pictures,
+      price: priceRaw,
+      oldPrice,
+      exactPrice,
+      exactCompareAt,
+      // Google and Meta want the regular price plus a sale price, rather than price and oldprice
+      regularPrice: Math.max(exactPrice, exactCompareAt),
+      salePrice: exactCompareAt > exactPrice ? exactPrice : null,
+      // Market prices carry their own currency; catalog prices are in the shop currency
+      currencyId: variant.priceCurrencyCode || shopInfo.currencyCode,
+      description: finalDesc,
+      params: resolveParams(variant, rawType.trim(), rules),
+      qty: !shouldOmitQty && effectiveQty > 0 ? effectiveQty : null,
+      consist: consistItems,
+      overriddenFields: Array.from(overridden)
+    });
 
-    for (let i = 0; i < consistItems.length; i++) {
-      xml += `        <consist name="${escapeXml(consistItems[i].name)}" unit=".">${i + 1}</consist>\n`;
+    const hasEstimates = consistItems.some((item) => item.unit === STEM_ESTIMATE_UNIT);
+    if (hasEstimates && !overridden.has("composition")) {
+      estimated.push({ variantId, name: uniqueName, picture, ingredients: unresolvedNames });
     }
-    xml += `      </offer>\n`;
   }
-  
-  xml += "  </offers>\n";
-  xml += "</yml_catalog>\n";
-  
-  return xml;
+
+  return { offers, excluded, estimated };
+}
+
+export function toCsv(rows) {
+  const escapeCsvValue = (value) => {
+    const stringValue = String(value ?? "");
+    if (stringValue.includes(",") || stringValue.includes("\"") || stringValue.includes("\n")) {
+      return `"${stringValue.replace(/"/g, '""')}"`;
+    }
+    return stringValue;
+  };
+
+  return rows.map((row) => row.map(escapeCsvValue).join(",")).join("\n");
 }
@@ -0,0 +1,75 @@
+import prisma from "./db.server.js";
+
+// Progress updates extend the lock, so only a worker that stopped reporting loses it
+export const FEED_LOCK_TTL_MS = 15 * 60 * 1000;
+
+const INTERRUPTED_RUN = {
+  status: "FAILED",
+  errorMessage: "Interrupted: the worker stopped before finishing"
+};
+
+function lockExpiry() {
+  return new Date(Date.now() + FEED_LOCK_TTL_MS);
+}
+
+// Returns false while another generation holds the shop's lock
+export async function acquireFeedLock(shop) {
+  try {
+    await prisma.feedLock.create({ data: { shop, expiresAt: lockExpiry() } });
+    return true;
+  } catch (err) {
+    if (err.code !== "P2002") {
+      throw err;
+    }
+  }
+
+  const stale = await prisma.feedLock.findUnique({ where: { shop } });
+  const { count } = await prisma.feedLock.updateMany({
+    where: { shop, expiresAt: { lt: new Date() } },
+    data: { runId: null, expiresAt: lockExpiry() }
+  });
+  if (count === 0) {
+    return false;
+  }
+  if (stale?.runId) {
+    await prisma.feedRun.updateMany({
+      where: { id: stale.runId, status: "RUNNING" },
+      data: { ...INTERRUPTED_RUN, finishedAt: new Date() }
+    });
+  }
+  return true;
+}
+
+export async function attachFeedLockRun(shop, runId) {
+  await prisma.feedLock.update({ where: { shop }, data: { runId } });
+}
+
+// Refreshing and releasing only touch the lock while this run still holds it; after a takeover it belongs to another run
+export async function refreshFeedLock(shop, runId) {
+  await prisma.feedLock.updateMany({ where: { shop, runId }, data: { expiresAt: lockExpiry() } });
+}
+
+export async function releaseFeedLock(shop, runId) {
+  await prisma.feedLock.deleteMany({ where: { shop, runId } });
+}
+
+// Runs a dead worker left RUNNING (a redeploy mid-sync) are failed once no live lock covers them.
+// Returns the live lock, if any.
+export async function failOrphanedFeedRuns(shop) {
+  const lock = await prisma.feedLock.findUnique({ where: { shop } });
+  const live = lock && lock.expiresAt > new Date() ? lock : null;
+  // A live lock without a run is a run being created right now
+  if (live && !live.runId) {
+    return live;
+  }
+  await prisma.feedRun.updateMany({
+    where: { shop, status: "RUNNING", ...(live ? { id: { not: live.runId } } : {}) },
+    data: { ...INTERRUPTED_RUN, finishedAt: new Date() }
+  });
+  return live;
+}
+
+export async function isFeedLocked(shop) {
+  const lock = await prisma.feedLock.findUnique({ where: { shop } });
+  return !!lock && lock.expiresAt > new Date();
+}
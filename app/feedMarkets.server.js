@@ -0,0 +1,105 @@
+import prisma from "./db.server.js";
+
+// Handles become a path segment of the market's feed files and URLs
+const MARKET_HANDLE_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const MARKET_FIELDS = {
+  id: true,
+  handle: true,
+  name: true,
+  countryCode: true,
+  currencyCode: true,
+  url: true,
+  enabled: true,
+  pricesUpdatedAt: true
+};
+
+export function getMarketFeedFileName(handle, fileName) {
+  return `markets/${handle}/${fileName}`;
+}
+
+// Markets gone from Shopify are dropped; the rest keep their enabled flag. A market prices all its countries
+// alike unless a price list says otherwise, so its first country stands in for the whole market.
+export async function syncFeedMarkets(shop, markets, shopData) {
+  const usable = markets.filter((market) => MARKET_HANDLE_PATTERN.test(market.handle));
+  for (const market of usable) {
+    const data = {
+      marketId: market.marketId,
+      name: market.name,
+      countryCode: market.countryCodes[0],
+      currencyCode: market.currencyCode || shopData.currencyCode || "GBP",
+      url: (market.url || shopData.url || `https://${shop}`).replace(/\/$/, "")
+    };
+    await prisma.feedMarket.upsert({
+      where: { shop_handle: { shop, handle: market.handle } },
+      create: { shop, handle: market.handle, ...data },
+      update: data
+    });
+  }
+  await prisma.feedMarket.deleteMany({
+    where: { shop, handle: { notIn: usable.map((market) => market.handle) } }
+  });
+}
+
+export async function saveFeedMarketPrices(shop, handle, prices) {
+  await prisma.feedMarket.update({
+    where: { shop_handle: { shop, handle } },
+    data: { prices, pricesUpdatedAt: new Date() }
+  });
+}
+
+export async function getFeedMarkets(shop) {
+  return prisma.feedMarket.findMany({
+    where: { shop },
+    orderBy: { name: "asc" },
+    select: MARKET_FIELDS
+  });
+}
+
+export async function getEnabledFeedMarkets(shop) {
+  return prisma.feedMarket.findMany({
+    where: { shop, enabled: true },
+    orderBy: { name: "asc" }
+  });
+}
+
+export async function getFeedMarket(shop, handle) {
+  return prisma.feedMarket.findUnique({
+    where: { shop_handle: { shop, handle } },
+    select: MARKET_FIELDS
+  });
+}
+
+export async function setFeedMarketEnabled(shop, marketId, enabled) {
+  const { count } = await prisma.feedMarket.updateMany({
+    where: { id: marketId, shop },
+    data: { enabled }
+  });
+  if (count === 0) {
+    throw new Error("Market not found, run a sync to refresh the market list");
+  }
+}
+
+// Variants the market has no price for are left out of its feeds rather than sent in the shop currency.
+// Each price keeps its own currency, which can differ from the market's base currency.
+export function applyMarketPrices(variants, prices) {
+  return variants
+    .filter((variant) => prices?.[variant.id])
+    .map((variant) => {
+      const [price, compareAtPrice, priceCurrencyCode] = prices[variant.id];
+      return { ...variant, price, compareAtPrice, priceCurrencyCode };
+    });
+}
+
+// Price overrides are amounts in the shop currency, so market feeds keep the market price
+export function getMarketShopInfo(shopInfo, market) {
+  const overrides = new Map(
+    Array.from(shopInfo.overrides, ([variantId, override]) => [variantId, { ...override, price: null }])
+  );
+  return { ...shopInfo, url: market.url, currencyCode: market.currencyCode, overrides };
+}
+
+// The price cap is an amount in the shop currency as well, so market prices are not held to it
+export function getMarketRules(rules) {
+  return { ...rules, priceCap: Infinity };
+}
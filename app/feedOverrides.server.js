@@ -0,0 +1,82 @@
+import prisma from "./db.server.js";
+import { OVERRIDE_FIELDS } from "./feedHelper.js";
+
+const VARIANT_GID_PREFIX = "gid://shopify/ProductVariant/";
+
+// Accepts a numeric ID or a variant GID; the feed and the overrides table use the numeric form
+export function normaliseVariantId(value) {
+  const variantId = String(value || "").trim().split("/").pop();
+  return /^\d+$/.test(variantId) ? variantId : null;
+}
+
+export async function getFeedOverrides(shop) {
+  const overrides = await prisma.feedOverride.findMany({ where: { shop } });
+  return new Map(overrides.map((override) => [override.variantId, override]));
+}
+
+// Pairs each override with the cached Shopify values so the Feed page can show what it replaces
+export async function getFeedOverridePreview(shop) {
+  const overrides = await prisma.feedOverride.findMany({
+    where: { shop },
+    orderBy: { updatedAt: "desc" }
+  });
+  const cachedVariants = await prisma.feedVariant.findMany({
+    where: { shop, variantId: { in: overrides.map((override) => `${VARIANT_GID_PREFIX}${override.variantId}`) } }
+  });
+  const variantsById = new Map(cachedVariants.map((row) => [row.variantId.split("/").pop(), row.data]));
+
+  return overrides.map((override) => {
+    const variant = variantsById.get(override.variantId);
+    const variantTitle = variant?.title && variant.title !== "Default Title" ? ` - ${variant.title}` : "";
+    return {
+      ...override,
+      shopify: variant
+        ? {
+          name: `${variant.product?.title || ""}${variantTitle}`,
+          description: variant.product?.description || "",
+          picture: variant.image?.url || variant.product?.featuredImage?.url || "",
+          price: Math.round(parseFloat(variant.price || "0") || 0),
+          composition: variant.product?.composition?.value || ""
+        }
+        : null
+    };
+  });
+}
+
+export async function saveFeedOverride(shop, formData) {
+  const variantId = normaliseVariantId(formData.get("variantId"));
+  if (!variantId) {
+    throw new Error("Variant ID must be a numeric ID or a variant GID");
+  }
+
+  const data = {};
+  for (const field of Object.keys(OVERRIDE_FIELDS)) {
+    const value = String(formData.get(field) || "").trim();
+    data[field] = value || null;
+  }
+
+  if (data.price !== null) {
+    const price = Number(data.price);
+    if (!Number.isInteger(price) || price <= 0) {
+      throw new Error("Price override must be a positive whole number");
+    }
+    data.price = price;
+  }
+  if (data.picture !== null && !/^https?:\/\//i.test(data.picture)) {
+    throw new Error("Picture override must be an http(s) URL");
+  }
+  if (Object.values(data).every((value) => value === null)) {
+    throw new Error("Fill in at least one field to override");
+  }
+
+  await prisma.feedOverride.upsert({
+    where: { shop_variantId: { shop, variantId } },
+    create: { shop, variantId, ...data },
+    update: data
+  });
+  return data;
+}
+
+export async function deleteFeedOverride(shop, overrideId) {
+  await prisma.feedOverride.deleteMany({ where: { id: overrideId, shop } });
+}
@@ -0,0 +1,148 @@
+import { brotliCompressSync, constants as zlibConstants, gzipSync } from "zlib";
+import { getFeedFileUpdatedAt, isValidShopDomain, readFeedFile } from "./feedStorage.server";
+import { findLastGoodFeedVersion, getFeedVersionFileName, getLiveFeedVersion } from "./feedVersions.server";
+import { authorizeFeedRequest, logFeedFetch } from "./feedAccess.server";
+
+const COMPRESSED_CACHE_SIZE = 20;
+
+function headerName(...parts) {
+  return parts.join(String.fromCharCode(45));
+}
+
+// Validators come from the live version, so a rollback changes them even though the file name does not
+async function resolveFeedFile(shop, fileName) {
+  const updatedAt = await getFeedFileUpdatedAt(shop, fileName);
+  if (updatedAt) {
+    const live = await getLiveFeedVersion(shop);
+    if (live?.fileNames.includes(fileName)) {
+      return { storedName: fileName, tag: live.id, lastModified: live.publishedAt };
+    }
+    // Files written before feed versions existed
+    return { storedName: fileName, tag: `m${updatedAt.getTime()}`, lastModified: updatedAt };
+  }
+
+  const version = await findLastGoodFeedVersion(shop, fileName);
+  if (version) {
+    return {
+      storedName: getFeedVersionFileName(version.id, fileName),
+      tag: version.id,
+      lastModified: version.publishedAt
+    };
+  }
+  return null;
+}
+
+function isNotModified(request, etag, lastModified) {
+  const ifNoneMatch = request.headers.get(headerName("If", "None", "Match"));
+  if (ifNoneMatch) {
+    // Weak comparison, as proxies sometimes drop the W/ prefix
+    const opaqueTag = etag.replace(/^W\//, "");
+    return ifNoneMatch.trim() === "*" || ifNoneMatch.split(",").some((tag) => tag.trim().replace(/^W\//, "") === opaqueTag);
+  }
+  const ifModifiedSince = Date.parse(request.headers.get(headerName("If", "Modified", "Since")) || "");
+  // HTTP dates have whole seconds
+  return Number.isFinite(ifModifiedSince) && Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+function pickEncoding(request) {
+  const accepted = (request.headers.get(headerName("Accept", "Encoding")) || "")
+    .split(",")
+    .map((part) => part.trim().split(";"))
+    .filter(([, quality]) => !quality || parseFloat(quality.split("=")[1]) > 0)
+    .map(([name]) => name.toLowerCase());
+  if (accepted.includes("br")) {
+    return "br";
+  }
+  if (accepted.includes("gzip")) {
+    return "gzip";
+  }
+  return null;
+}
+
+function getCompressedCache() {
+  if (!global.feedCompressedCacheGlobal) {
+    global.feedCompressedCacheGlobal = new Map();
+  }
+  return global.feedCompressedCacheGlobal;
+}
+
+// Feeds only change between versions, so each version is compressed once per encoding
+function compressFeed(cacheKey, content, encoding) {
+  const cache = getCompressedCache();
+  const key = `${cacheKey}:${encoding}`;
+  if (cache.has(key)) {
+    return cache.get(key);
+  }
+
+  const body = encoding === "br"
+    ? brotliCompressSync(content, { params: { [zlibConstants.BROTLI_PARAM_QUALITY]: 5 } })
+    : gzipSync(content);
+  cache.set(key, body);
+  if (cache.size > COMPRESSED_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  return body;
+}
+
+export async function serveFeedFile(request, shop, fileName, contentType = "text/xml") {
+  const contentTypeKey = headerName("Content", "Type");
+  const cacheControlKey = headerName("Cache", "Control");
+  const lastModifiedKey = headerName("Last", "Modified");
+  const contentEncodingKey = headerName("Content", "Encoding");
+
+  const notFound = () => new Response(contentType === "text/xml" ? "<error>Feed not generated yet</error>" : "Feed not generated yet", {
+    status: 404,
+    headers: {
+      [contentTypeKey]: contentType
+    }
+  });
+
+  const file = shop && isValidShopDomain(shop) ? await resolveFeedFile(shop, fileName) : null;
+  if (!file) {
+    return notFound();
+  }
+
+  // Weak, since the same version is sent plain or compressed
+  const etag = `W/"${file.tag}"`;
+  // Marketplaces poll on their own schedule; revalidating every time keeps a rollback visible at once
+  const headers = {
+    [cacheControlKey]: "public, no-cache",
+    ETag: etag,
+    [lastModifiedKey]: file.lastModified.toUTCString(),
+    Vary: headerName("Accept", "Encoding")
+  };
+
+  if (isNotModified(request, etag, file.lastModified)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  const content = await readFeedFile(shop, file.storedName);
+  if (content === null) {
+    return notFound();
+  }
+
+  const encoding = pickEncoding(request);
+  if (!encoding) {
+    return new Response(content, { status: 200, headers: { ...headers, [contentTypeKey]: contentType } });
+  }
+  return new Response(compressFeed(`${shop}/${file.storedName}/${file.tag}`, content, encoding), {
+    status: 200,
+    headers: { ...headers, [contentTypeKey]: contentType, [contentEncodingKey]: encoding }
+  });
+}
+
+// Access checks and the fetch log wrap the file response for both public feed routes
+export async function handleFeedRequest(request, shop, definition) {
+  if (!shop || !isValidShopDomain(shop)) {
+    return serveFeedFile(request, shop, definition.fileName, definition.contentType);
+  }
+
+  const { denied, tokenId } = await authorizeFeedRequest(request, shop, definition.name);
+  const response = denied || await serveFeedFile(request, shop, definition.fileName, definition.contentType);
+  try {
+    await logFeedFetch(request, shop, definition.name, response.status, tokenId);
+  } catch (err) {
+    console.error(`Failed to log feed fetch for ${shop}:`, err);
+  }
+  return response;
+}
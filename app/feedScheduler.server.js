@@ -0,0 +1,50 @@
+import prisma from "./db.server";
+import { runAll } from "./feedWorker.js";
+
+export const FEED_INTERVAL_MS = (Number(process.env.FEED_INTERVAL_HOURS) || 4) * 60 * 60 * 1000;
+
+// The first run after a (re)start waits at least this long so the server can finish booting.
+const STARTUP_DELAY_MS = 60 * 1000;
+
+function scheduleNextRun(state, delay) {
+  state.nextRunAt = new Date(Date.now() + delay);
+  state.timer = setTimeout(async () => {
+    try {
+      await runAll({ trigger: "scheduled" });
+    } catch (err) {
+      console.error("Scheduled feed generation failed:", err);
+    }
+    scheduleNextRun(state, FEED_INTERVAL_MS);
+  }, delay);
+  state.timer.unref?.();
+}
+
+export async function startFeedScheduler() {
+  if (process.env.FEED_SCHEDULER_DISABLED === "true" || global.feedSchedulerGlobal) {
+    return;
+  }
+
+  const state = { nextRunAt: null, timer: null };
+  global.feedSchedulerGlobal = state;
+
+  // Pick up the 4-hour cadence from the last recorded run so redeploys don't reset it
+  let delay = STARTUP_DELAY_MS;
+  try {
+    const lastRun = await prisma.feedRun.findFirst({
+      where: { trigger: { not: "webhook" } },
+      orderBy: { startedAt: "desc" }
+    });
+    if (lastRun) {
+      const dueIn = lastRun.startedAt.getTime() + FEED_INTERVAL_MS - Date.now();
+      delay = Math.max(dueIn, STARTUP_DELAY_MS);
+    }
+  } catch (err) {
+    console.error("Could not read feed run history:", err);
+  }
+
+  scheduleNextRun(state, delay);
+}
+
+export function getNextScheduledRun() {
+  return global.feedSchedulerGlobal?.nextRunAt || null;
+}
@@ -0,0 +1,131 @@
+import prisma from "./db.server.js";
+import { DEFAULT_FEED_RULES, MAX_FEED_PICTURES, MAX_FEED_VERSIONS } from "./feedHelper.js";
+
+export async function getFeedRules(shop) {
+  const settings = await prisma.feedSettings.findUnique({ where: { shop } });
+  if (!settings) {
+    return { ...DEFAULT_FEED_RULES };
+  }
+  return {
+    priceCap: settings.priceCap,
+    excludedProductTypes: settings.excludedProductTypes,
+    nonFloralKeywords: settings.nonFloralKeywords,
+    floralConsistNames: settings.floralConsistNames,
+    defaultProductType: settings.defaultProductType,
+    paramMappings: settings.paramMappings ?? DEFAULT_FEED_RULES.paramMappings,
+    paramDefaults: settings.paramDefaults ?? DEFAULT_FEED_RULES.paramDefaults,
+    pictureLimit: settings.pictureLimit,
+    versionLimit: settings.versionLimit,
+    maxOfferDropPercent: settings.maxOfferDropPercent
+  };
+}
+
+// One mapping per line: "<param name> = <namespace>.<key>"
+export function parseParamMappings(value) {
+  const mappings = [];
+  for (const line of String(value || "").split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    const separator = line.lastIndexOf("=");
+    const name = line.slice(0, separator).trim();
+    const metafield = line.slice(separator + 1).trim();
+    const dot = metafield.indexOf(".");
+    if (separator < 0 || !name || dot <= 0 || dot === metafield.length - 1) {
+      throw new Error(`Invalid param mapping "${line.trim()}", expected "name = namespace.key"`);
+    }
+    mappings.push({ name, namespace: metafield.slice(0, dot), key: metafield.slice(dot + 1) });
+  }
+  return mappings;
+}
+
+export function formatParamMappings(mappings) {
+  return mappings.map((mapping) => `${mapping.name} = ${mapping.namespace}.${mapping.key}`).join("\n");
+}
+
+// One default per line: "<product type or *> | <param name> = <value>"
+export function parseParamDefaults(value) {
+  const defaults = {};
+  for (const line of String(value || "").split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    const pipe = line.indexOf("|");
+    const separator = line.lastIndexOf("=");
+    const productType = line.slice(0, pipe).trim();
+    const name = line.slice(pipe + 1, separator).trim();
+    const paramValue = line.slice(separator + 1).trim();
+    if (pipe < 0 || separator < pipe || !productType || !name || !paramValue) {
+      throw new Error(`Invalid param default "${line.trim()}", expected "product type | name = value"`);
+    }
+    defaults[productType] = { ...defaults[productType], [name]: paramValue };
+  }
+  return defaults;
+}
+
+export function formatParamDefaults(defaults) {
+  const lines = [];
+  for (const [productType, params] of Object.entries(defaults)) {
+    for (const [name, paramValue] of Object.entries(params)) {
+      lines.push(`${productType} | ${name} = ${paramValue}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+// Lists are edited as comma or newline separated text
+export function parseRuleList(value) {
+  return String(value || "")
+    .split(/[\n,]/)
+    .map((item) => item.trim().toLowerCase())
+    .filter((item, index, self) => item && self.indexOf(item) === index);
+}
+
+export async function saveFeedRules(shop, formData) {
+  const priceCap = parseInt(formData.get("priceCap"), 10);
+  if (!Number.isFinite(priceCap) || priceCap <= 0) {
+    throw new Error("Price cap must be a positive whole number");
+  }
+
+  const pictureLimit = parseInt(formData.get("pictureLimit"), 10);
+  if (!Number.isFinite(pictureLimit) || pictureLimit < 1 || pictureLimit > MAX_FEED_PICTURES) {
+    throw new Error(`Pictures per offer must be between 1 and ${MAX_FEED_PICTURES}`);
+  }
+
+  const versionLimit = parseInt(formData.get("versionLimit"), 10);
+  if (!Number.isFinite(versionLimit) || versionLimit < 1 || versionLimit > MAX_FEED_VERSIONS) {
+    throw new Error(`Versions to keep must be between 1 and ${MAX_FEED_VERSIONS}`);
+  }
+
+  // Left blank, every generated feed is published
+  const maxOfferDropText = String(formData.get("maxOfferDropPercent") || "").trim();
+  const maxOfferDropPercent = maxOfferDropText ? parseInt(maxOfferDropText, 10) : null;
+  if (maxOfferDropPercent !== null && (!Number.isFinite(maxOfferDropPercent) || maxOfferDropPercent < 1 || maxOfferDropPercent > 100)) {
+    throw new Error("Maximum offer drop must be a percentage between 1 and 100, or left blank");
+  }
+
+  const defaultProductType = String(formData.get("defaultProductType") || "").trim();
+  if (!defaultProductType) {
+    throw new Error("Default product type is required");
+  }
+
+  const rules = {
+    priceCap,
+    excludedProductTypes: parseRuleList(formData.get("excludedProductTypes")),
+    nonFloralKeywords: parseRuleList(formData.get("nonFloralKeywords")),
+    floralConsistNames: parseRuleList(formData.get("floralConsistNames")),
+    defaultProductType,
+    paramMappings: parseParamMappings(formData.get("paramMappings")),
+    paramDefaults: parseParamDefaults(formData.get("paramDefaults")),
+    pictureLimit,
+    versionLimit,
+    maxOfferDropPercent
+  };
+
+  await prisma.feedSettings.upsert({
+    where: { shop },
+    create: { shop, ...rules },
+    update: rules
+  });
+  return rules;
+}
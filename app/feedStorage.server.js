@@ -0,0 +1,268 @@
+import { createHash, createHmac } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import prisma from "./db.server.js";
+
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i;
+
+export function isValidShopDomain(shop) {
+  return typeof shop === "string" && SHOP_DOMAIN_PATTERN.test(shop);
+}
+
+// Keys look like <shop>/<file name>; versions live under <shop>/versions/<id>/, but nothing may point outside the shop
+function feedFileKey(shop, fileName) {
+  if (!isValidShopDomain(shop)) {
+    throw new Error(`Invalid shop domain: ${shop}`);
+  }
+  const segments = String(fileName).split(/[\\/]/);
+  if (segments.includes("..") || segments.some((segment) => segment === "")) {
+    throw new Error(`Invalid feed file name: ${fileName}`);
+  }
+  return `${shop.toLowerCase()}/${segments.join("/")}`;
+}
+
+function sha256Hex(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+// Only for development: the container disk is wiped on every deploy
+function createLocalFeedStorage() {
+  const root = path.join(process.cwd(), "public", "feeds");
+  return {
+    name: "local",
+    async write(key, content) {
+      const filePath = path.join(root, key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content, "utf8");
+    },
+    async read(key) {
+      try {
+        return await fs.readFile(path.join(root, key), "utf8");
+      } catch (error) {
+        return null;
+      }
+    },
+    async getUpdatedAt(key) {
+      try {
+        const stats = await fs.stat(path.join(root, key));
+        return stats.mtime;
+      } catch (error) {
+        return null;
+      }
+    },
+    async deletePrefix(prefix) {
+      await fs.rm(path.join(root, prefix), { recursive: true, force: true });
+    }
+  };
+}
+
+function createPostgresFeedStorage() {
+  return {
+    name: "postgres",
+    async write(key, content) {
+      await prisma.feedFile.upsert({
+        where: { key },
+        create: { key, content },
+        update: { content }
+      });
+    },
+    async read(key) {
+      const file = await prisma.feedFile.findUnique({ where: { key }, select: { content: true } });
+      return file ? file.content : null;
+    },
+    async getUpdatedAt(key) {
+      const file = await prisma.feedFile.findUnique({ where: { key }, select: { updatedAt: true } });
+      return file ? file.updatedAt : null;
+    },
+    async deletePrefix(prefix) {
+      await prisma.feedFile.deleteMany({ where: { key: { startsWith: `${prefix}/` } } });
+    }
+  };
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// AWS Signature Version 4; headers must include host and the payload hash, and are signed as given
+export function signS3Request({ method, url, headers, region, accessKeyId, secretAccessKey, amzDate }) {
+  const dash = String.fromCharCode(45);
+  const algorithm = ["AWS4", "HMAC", "SHA256"].join(dash);
+  const contentSha256Header = ["x", "amz", "content", "sha256"].join(dash);
+
+  const names = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+  const values = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+  const signedHeaders = names.join(";");
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join("&");
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    names.map((name) => `${name}:${values[name]}\n`).join(""),
+    signedHeaders,
+    values[contentSha256Header]
+  ].join("\n");
+
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = [algorithm, amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+  const signingKey = [dateStamp, region, "s3", "aws4_request"]
+    .reduce((key, part) => createHmac("sha256", key).update(part).digest(), `AWS4${secretAccessKey}`);
+  const signature = createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+  return `${algorithm} Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+function decodeXmlText(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Any S3-compatible service; FEED_S3_ENDPOINT switches to path-style requests for MinIO, R2 and the like
+function createS3FeedStorage() {
+  const bucket = process.env.FEED_S3_BUCKET;
+  const accessKeyId = process.env.FEED_S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.FEED_S3_SECRET_ACCESS_KEY;
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("FEED_S3_BUCKET, FEED_S3_ACCESS_KEY_ID and FEED_S3_SECRET_ACCESS_KEY must be set for S3 feed storage");
+  }
+  const region = process.env.FEED_S3_REGION || "us-east-1";
+  const baseUrl = process.env.FEED_S3_ENDPOINT
+    ? `${process.env.FEED_S3_ENDPOINT.replace(/\/+$/, "")}/${encodeRfc3986(bucket)}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`;
+  const keyPrefix = (process.env.FEED_S3_PREFIX ?? "feeds").replace(/^\/+|\/+$/g, "");
+
+  const dash = String.fromCharCode(45);
+  const contentSha256Header = ["x", "amz", "content", "sha256"].join(dash);
+  const dateHeader = ["x", "amz", "date"].join(dash);
+  const contentTypeHeader = ["content", "type"].join(dash);
+  const lastModifiedHeader = ["last", "modified"].join(dash);
+  const listTypeParam = ["list", "type"].join(dash);
+  const continuationParam = ["continuation", "token"].join(dash);
+
+  const objectKey = (key) => (keyPrefix ? `${keyPrefix}/${key}` : key);
+
+  async function send(method, key, { query = {}, body = "" } = {}) {
+    const url = new URL(`${baseUrl}/${key.split("/").map(encodeRfc3986).join("/")}`);
+    for (const [name, value] of Object.entries(query)) {
+      url.searchParams.set(name, value);
+    }
+    const amzDate = new Date().toISOString().replace(/\.\d{3}/, "").replace(/[^\dTZ]/g, "");
+    const headers = {
+      host: url.host,
+      [contentSha256Header]: sha256Hex(body),
+      [dateHeader]: amzDate
+    };
+    if (method === "PUT") {
+      headers[contentTypeHeader] = "application/octet-stream";
+    }
+    const authorization = signS3Request({ method, url, headers, region, accessKeyId, secretAccessKey, amzDate });
+    delete headers.host;
+
+    const response = await fetch(url, {
+      method,
+      headers: { ...headers, Authorization: authorization },
+      body: method === "PUT" ? body : undefined
+    });
+    if (!response.ok && response.status !== 404) {
+      const detail = method === "HEAD" ? "" : await response.text();
+      throw new Error(`S3 ${method} ${key} failed with ${response.status} ${detail}`.trim());
+    }
+    return response;
+  }
+
+  return {
+    name: "s3",
+    async write(key, content) {
+      await send("PUT", objectKey(key), { body: content });
+    },
+    async read(key) {
+      const response = await send("GET", objectKey(key));
+      return response.status === 404 ? null : response.text();
+    },
+    async getUpdatedAt(key) {
+      const response = await send("HEAD", objectKey(key));
+      if (response.status === 404) {
+        return null;
+      }
+      const lastModified = Date.parse(response.headers.get(lastModifiedHeader) || "");
+      return Number.isFinite(lastModified) ? new Date(lastModified) : new Date();
+    },
+    async deletePrefix(prefix) {
+      let continuationToken = null;
+      do {
+        const query = { [listTypeParam]: "2", prefix: `${objectKey(prefix)}/` };
+        if (continuationToken) {
+          query[continuationParam] = continuationToken;
+        }
+        const listing = await (await send("GET", "", { query })).text();
+        const keys = [...listing.matchAll(/<Key>([^<]*)<\/Key>/g)].map((match) => decodeXmlText(match[1]));
+        for (const key of keys) {
+          await send("DELETE", key);
+        }
+        const next = listing.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/);
+        continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(listing) && next ? decodeXmlText(next[1]) : null;
+      } while (continuationToken);
+    }
+  };
+}
+
+const STORAGE_BACKENDS = {
+  postgres: createPostgresFeedStorage,
+  s3: createS3FeedStorage,
+  local: createLocalFeedStorage
+};
+
+export function getFeedStorage(name = process.env.FEED_STORAGE || "postgres") {
+  if (global.feedStorageGlobal?.name !== name) {
+    const createStorage = STORAGE_BACKENDS[name];
+    if (!createStorage) {
+      throw new Error(`Unknown feed storage "${name}", expected one of: ${Object.keys(STORAGE_BACKENDS).join(", ")}`);
+    }
+    global.feedStorageGlobal = createStorage();
+  }
+  return global.feedStorageGlobal;
+}
+
+export async function writeFeedFile(shop, fileName, content) {
+  await getFeedStorage().write(feedFileKey(shop, fileName), content);
+}
+
+export async function readFeedFile(shop, fileName) {
+  return getFeedStorage().read(feedFileKey(shop, fileName));
+}
+
+export async function deleteFeedDirectory(shop, dirName) {
+  await getFeedStorage().deletePrefix(feedFileKey(shop, dirName));
+}
+
+export async function getFeedFileUpdatedAt(shop, fileName) {
+  return getFeedStorage().getUpdatedAt(feedFileKey(shop, fileName));
+}
+
+export async function getFeedShops() {
+  const sessions = await prisma.session.findMany({
+    where: { isOnline: false },
+    distinct: ["shop"],
+    select: { shop: true },
+    orderBy: { shop: "asc" }
+  });
+  return sessions.map((session) => session.shop);
+}
+
+// The unscoped /api/feeds/* URLs predate per-shop feeds. They serve FEED_DEFAULT_SHOP, or the only installed
+// shop; with several shops and no default there is no safe answer, so they serve nothing.
+export async function getDefaultFeedShop() {
+  if (process.env.FEED_DEFAULT_SHOP) {
+    return process.env.FEED_DEFAULT_SHOP;
+  }
+  const shops = await getFeedShops();
+  return shops.length === 1 ? shops[0] : null;
+}
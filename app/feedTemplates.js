@@ -0,0 +1,161 @@
+import { buildCategoryTree, buildFeedOffers, escapeXml, formatFeedDate, toCsv } from "./feedHelper.js";
+
+// A feed definition describes an output format declaratively:
+//   { name, fileName, contentType, format: "xml" | "csv" | "json", target?, filters?, xml? | columns? | fields? }
+// Values are written as a field path ("pictures.0", "shop.name", "." for the item itself), or as an object:
+//   { field, transform }   transform is a list of steps, each a name or [name, ...args], applied in order
+//   { literal }            a fixed value
+//   { template }           "{url}?variant={id}", each {path} read from the current item
+// XML elements: { tag, attributes?, value?, children?, each?, skip?, omitEmpty? }
+// "each" repeats the element for every entry of a list, which becomes the current item.
+
+const TRANSFORMS = {
+  boolean: (value) => (value ? "true" : "false"),
+  truncate: (value, item, length) => String(value ?? "").slice(0, length),
+  price: (value, item) => `${Number(value).toFixed(2)} ${item.currencyId}`,
+  map: (value, item, mapping) => mapping[String(value)] ?? value,
+  slice: (value, item, start, end) => (value || []).slice(start, end),
+  join: (value, item, separator) => (value || []).join(separator)
+};
+
+function readPath(item, path) {
+  if (path === ".") {
+    return item;
+  }
+  return String(path).split(".").reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), item);
+}
+
+function applyTransforms(value, item, steps = []) {
+  // Missing values stay missing so omitEmpty elements and blank columns still work after a transform
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  return steps.reduce((current, step) => {
+    const [name, ...args] = Array.isArray(step) ? step : [step];
+    const fn = TRANSFORMS[name];
+    if (!fn) {
+      throw new Error(`Unknown feed transform "${name}"`);
+    }
+    return fn(current, item, ...args);
+  }, value);
+}
+
+export function resolveValue(spec, item) {
+  if (spec === null || spec === undefined) {
+    return undefined;
+  }
+  if (typeof spec === "string") {
+    return readPath(item, spec);
+  }
+  if ("literal" in spec) {
+    return spec.literal;
+  }
+  if ("template" in spec) {
+    return spec.template.replace(/\{([^}]+)\}/g, (match, path) => String(readPath(item, path) ?? ""));
+  }
+  return applyTransforms(readPath(item, spec.field), item, spec.transform);
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === "";
+}
+
+function matchesFilter(filter, item) {
+  const value = readPath(item, filter.field);
+  if ("equals" in filter) {
+    return value === filter.equals;
+  }
+  if ("notEquals" in filter) {
+    return value !== filter.notEquals;
+  }
+  if ("in" in filter) {
+    return filter.in.includes(value);
+  }
+  if (filter.notEmpty) {
+    return Array.isArray(value) ? value.length > 0 : !isEmpty(value);
+  }
+  throw new Error(`Feed filter on "${filter.field}" has no condition`);
+}
+
+function renderXmlElement(element, item, depth) {
+  const entries = element.each
+    ? (readPath(item, element.each) || []).slice(element.skip || 0)
+    : [item];
+  const indent = "  ".repeat(depth);
+  let xml = "";
+
+  for (const entry of entries) {
+    const value = "value" in element ? resolveValue(element.value, entry) : undefined;
+    if (element.omitEmpty && isEmpty(value)) {
+      continue;
+    }
+
+    let attributes = "";
+    for (const [name, spec] of Object.entries(element.attributes || {})) {
+      const attributeValue = resolveValue(spec, entry);
+      if (!isEmpty(attributeValue)) {
+        attributes += ` ${name}="${escapeXml(attributeValue)}"`;
+      }
+    }
+
+    if (element.children) {
+      xml += `${indent}<${element.tag}${attributes}>\n`;
+      for (const child of element.children) {
+        xml += renderXmlElement(child, entry, depth + 1);
+      }
+      xml += `${indent}</${element.tag}>\n`;
+    } else {
+      xml += `${indent}<${element.tag}${attributes}>${escapeXml(value)}</${element.tag}>\n`;
+    }
+  }
+  return xml;
+}
+
+// context: { shop, date, categories, offers }; filters apply to the offers, and each offer can read "shop.*"
+export function renderFeed(definition, context) {
+  const offers = (definition.filters || [])
+    .reduce((current, filter) => current.filter((offer) => matchesFilter(filter, offer)), context.offers)
+    .map((offer) => ({ ...offer, shop: context.shop }));
+  const feedContext = { ...context, offers };
+
+  if (definition.format === "xml") {
+    const dash = String.fromCharCode(45);
+    const encoding = "UTF" + dash + "8";
+    return `<?xml version="1.0" encoding="${encoding}"?>\n${renderXmlElement(definition.xml, feedContext, 0)}`;
+  }
+
+  if (definition.format === "csv") {
+    const rows = [definition.columns.map((column) => column.header)];
+    for (const offer of offers) {
+      rows.push(definition.columns.map((column) => resolveValue(column.value, offer)));
+    }
+    return `${toCsv(rows)}\n`;
+  }
+
+  if (definition.format === "json") {
+    const items = offers.map((offer) => Object.fromEntries(
+      Object.entries(definition.fields).map(([key, spec]) => [key, resolveValue(spec, offer)])
+    ));
+    return `${JSON.stringify({ generatedAt: context.date, items }, null, 2)}\n`;
+  }
+
+  throw new Error(`Unknown feed format "${definition.format}" in feed "${definition.name}"`);
+}
+
+// Category mappings are per marketplace, so only the definition's own target applies
+export function buildFeed(definition, variants, shopInfo, rules) {
+  const categoryMappings = definition.target
+    ? (shopInfo.categoryMappings || []).filter((mapping) => mapping.target === definition.target)
+    : [];
+  const targetInfo = { ...shopInfo, categoryMappings };
+  const { offers, excluded, estimated } = buildFeedOffers(variants, targetInfo, rules);
+
+  const categories = buildCategoryTree(shopInfo.categories, categoryMappings);
+  const content = renderFeed(definition, {
+    shop: { name: shopInfo.name, company: shopInfo.company, url: shopInfo.url },
+    date: formatFeedDate(),
+    categories,
+    offers
+  });
+  return { content, offerCount: offers.length, offers, categories, excluded, estimated };
+}
@@ -0,0 +1,136 @@
+import prisma from "./db.server.js";
+import { deleteFeedDirectory, getFeedFileUpdatedAt, readFeedFile, writeFeedFile } from "./feedStorage.server.js";
+
+function versionDirectory(versionId) {
+  return `versions/${versionId}`;
+}
+
+export function getFeedVersionFileName(versionId, fileName) {
+  return `${versionDirectory(versionId)}/${fileName}`;
+}
+
+export async function getLiveFeedVersion(shop) {
+  return prisma.feedVersion.findFirst({
+    where: { shop, publishedAt: { not: null } },
+    orderBy: { publishedAt: "desc" }
+  });
+}
+
+// A sync that loses a large share of offers (no images, a failed metafield read) is held back for review
+export function getOfferDropReason(live, offerCount, maxOfferDropPercent) {
+  if (!live || maxOfferDropPercent === null || maxOfferDropPercent === undefined || live.offerCount === 0) {
+    return null;
+  }
+  const dropPercent = ((live.offerCount - offerCount) / live.offerCount) * 100;
+  if (dropPercent <= maxOfferDropPercent) {
+    return null;
+  }
+  return `Offer count dropped ${Math.round(dropPercent)}% (from ${live.offerCount} to ${offerCount}), above the ${maxOfferDropPercent}% limit`;
+}
+
+// Copies the version's files over the served ones; pinning keeps later syncs from replacing them
+export async function publishFeedVersion(shop, versionId, { pin = false } = {}) {
+  const version = await prisma.feedVersion.findFirst({ where: { id: versionId, shop } });
+  if (!version) {
+    throw new Error("Feed version not found");
+  }
+
+  const files = [];
+  for (const fileName of version.fileNames) {
+    const content = await readFeedFile(shop, getFeedVersionFileName(version.id, fileName));
+    if (content === null) {
+      throw new Error(`Feed version is missing ${fileName}, it cannot be published`);
+    }
+    files.push({ fileName, content });
+  }
+  for (const { fileName, content } of files) {
+    await writeFeedFile(shop, fileName, content);
+  }
+
+  await prisma.$transaction([
+    prisma.feedVersion.updateMany({ where: { shop, pinned: true }, data: { pinned: false } }),
+    prisma.feedVersion.update({
+      where: { id: version.id },
+      data: { publishedAt: new Date(), pinned: pin, heldReason: null }
+    })
+  ]);
+}
+
+export async function unpinFeedVersions(shop) {
+  await prisma.feedVersion.updateMany({ where: { shop, pinned: true }, data: { pinned: false } });
+}
+
+// Full syncs and webhook rebuilds each keep their own versionLimit, so a burst of stock changes cannot push the
+// last good full sync out. The live version is never pruned, however old it is.
+async function pruneFeedVersions(shop, versionLimit) {
+  const live = await getLiveFeedVersion(shop);
+  const versions = await prisma.feedVersion.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    select: { id: true, run: { select: { trigger: true } } }
+  });
+
+  const keptByKind = { full: 0, webhook: 0 };
+  const stale = [];
+  for (const version of versions) {
+    const kind = version.run.trigger === "webhook" ? "webhook" : "full";
+    if (version.id === live?.id || keptByKind[kind] < versionLimit) {
+      keptByKind[kind]++;
+    } else {
+      stale.push(version);
+    }
+  }
+
+  for (const version of stale) {
+    await deleteFeedDirectory(shop, versionDirectory(version.id));
+  }
+  if (stale.length > 0) {
+    await prisma.feedVersion.deleteMany({ where: { id: { in: stale.map((version) => version.id) } } });
+  }
+}
+
+// files: [{ fileName, content }]; returns the version with heldReason set when it was not published
+export async function saveFeedVersion(shop, { runId, offerCount, files }, rules) {
+  const version = await prisma.feedVersion.create({
+    data: { shop, runId, offerCount, fileNames: files.map((file) => file.fileName) }
+  });
+  for (const { fileName, content } of files) {
+    await writeFeedFile(shop, getFeedVersionFileName(version.id, fileName), content);
+  }
+
+  const live = await getLiveFeedVersion(shop);
+  const heldReason = live?.pinned
+    ? "A pinned version is live, unpin it to publish new syncs"
+    : getOfferDropReason(live, offerCount, rules.maxOfferDropPercent);
+
+  if (heldReason) {
+    await prisma.feedVersion.update({ where: { id: version.id }, data: { heldReason } });
+  } else {
+    await publishFeedVersion(shop, version.id);
+  }
+  await pruneFeedVersions(shop, rules.versionLimit);
+  return { ...version, heldReason };
+}
+
+export async function getFeedVersions(shop) {
+  return prisma.feedVersion.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" }
+  });
+}
+
+// When a served file is missing, the newest published version holding it is the last good copy; held versions
+// never count, or a fallback would get around the drop guard and a pinned rollback
+export async function findLastGoodFeedVersion(shop, fileName) {
+  const versions = await prisma.feedVersion.findMany({
+    where: { shop, fileNames: { has: fileName }, publishedAt: { not: null } },
+    orderBy: { publishedAt: "desc" }
+  });
+  for (const version of versions) {
+    const updatedAt = await getFeedFileUpdatedAt(shop, getFeedVersionFileName(version.id, fileName));
+    if (updatedAt) {
+      return version;
+    }
+  }
+  return null;
+}
@@ -1,7 +1,28 @@
 import { promises as fs } from "fs";
 import path from "path";
 import prisma from "./db.server.js";
-import { buildXmlFeed } from "./feedHelper.js";
+import { isExcludedProductType } from "./feedHelper.js";
+import { buildFeed } from "./feedTemplates.js";
+import { FEED_DEFINITIONS } from "./feedDefinitions.js";
+import { OFFER_SNAPSHOT_FILE, diffFeedSnapshots, snapshotOffers } from "./feedDiff.js";
+import { getFeedShops, readFeedFile } from "./feedStorage.server.js";
+import { createAdminClient, fetchFeedVariants, fetchMarketPrices, fetchMarkets, fetchShopData } from "./feedCatalog.server.js";
+import { loadCachedVariants, replaceFeedCache } from "./feedCache.server.js";
+import { getFeedRules } from "./feedSettings.server.js";
+import { assignCategoryIds } from "./feedCategories.server.js";
+import { getFeedOverrides } from "./feedOverrides.server.js";
+import { getStoredCompositions } from "./feedCompositions.server.js";
+import { saveFeedVersion } from "./feedVersions.server.js";
+import {
+  applyMarketPrices,
+  getEnabledFeedMarkets,
+  getMarketFeedFileName,
+  getMarketRules,
+  getMarketShopInfo,
+  saveFeedMarketPrices,
+  syncFeedMarkets
+} from "./feedMarkets.server.js";
+import { acquireFeedLock, attachFeedLockRun, isFeedLocked, refreshFeedLock, releaseFeedLock } from "./feedLock.server.js";
 
 async function loadEnv() {
   if (process.env.DATABASE_PUBLIC_URL) {
@@ -25,161 +46,236 @@ async function loadEnv() {
   }
 }
 
-async function run() {
-  await loadEnv();
-  
+const REBUILD_DEBOUNCE_MS = 5000;
+const pendingRebuilds = new Map();
+
+async function getOfflineSession(shop) {
   const dbSession = await prisma.session.findFirst({
     where: {
+      shop,
       isOnline: false
     }
   });
   
   if (!dbSession) {
-    process.exit(1);
+    throw new Error(`No offline session found for ${shop}`);
   }
-  
-  const shop = dbSession.shop;
-  const accessToken = dbSession.accessToken;
-  
-  const dash = String.fromCharCode(45);
-  const apiVersion = ["2025", "10"].join(dash);
-  const url = `https://${shop}/admin/api/${apiVersion}/graphql.json`;
-  
-  const tokenHeader = ["X", "Shopify", "Access", "Token"].join(dash);
-  const contentTypeHeader = ["Content", "Type"].join(dash);
-  
-  const shopQuery = `
-    query {
-      shop {
-        name
-        url
-        currencyCode
-      }
+  return dbSession;
+}
+
+const PROGRESS_WRITE_INTERVAL_MS = 2000;
+
+// Progress is merged into one object per run and written at most every couple of seconds; each write also keeps the lock alive
+function createProgressReporter(shop, runId) {
+  const progress = {};
+  let lastWrite = 0;
+  return async (patch, { force = false } = {}) => {
+    Object.assign(progress, patch);
+    if (!force && Date.now() - lastWrite < PROGRESS_WRITE_INTERVAL_MS) {
+      return;
     }
-  `;
-  
-  const shopResponse = await fetch(url, {
-    method: "POST",
-    headers: {
-      [tokenHeader]: accessToken,
-      [contentTypeHeader]: "application/json"
-    },
-    body: JSON.stringify({ query: shopQuery })
-  });
-  
-  if (!shopResponse.ok) {
-    const errText = await shopResponse.text();
-    throw new Error(errText);
+    lastWrite = Date.now();
+    await prisma.feedRun.update({ where: { id: runId }, data: { progress } });
+    await refreshFeedLock(shop, runId);
+  };
+}
+
+// Returns null without recording a run when another generation holds the shop's lock
+async function beginRun(shop, trigger) {
+  if (!(await acquireFeedLock(shop))) {
+    return null;
   }
-  
-  const shopResult = await shopResponse.json();
-  if (shopResult.errors) {
-    throw new Error(JSON.stringify(shopResult.errors));
+  try {
+    const feedRun = await prisma.feedRun.create({
+      data: { shop, trigger, progress: { stage: "STARTING" } }
+    });
+    await attachFeedLockRun(shop, feedRun.id);
+    return feedRun;
+  } catch (err) {
+    await releaseFeedLock(shop, null);
+    throw err;
   }
-  const shopData = shopResult.data?.shop || {};
-  
-  const query = `
-    query getProductVariants($first: Int!, $after: String) {
-      productVariants(first: $first, after: $after) {
-        edges {
-          node {
-            id
-            title
-            price
-            compareAtPrice
-            inventoryQuantity
-            image {
-              url
-            }
-            product {
-              title
-              handle
-              productType
-              description
-              featuredImage {
-                url
-              }
-              composition: metafield(namespace: "custom", key: "composition") {
-                value
-              }
-              type: metafield(namespace: "custom", key: "type") {
-                value
-              }
-            }
-          }
-        }
-        pageInfo {
-          hasNextPage
-          endCursor
+}
+
+async function completeRun(shop, feedRun, generate) {
+  try {
+    const result = await generate(feedRun.id, createProgressReporter(shop, feedRun.id));
+    // Only the latest run's exclusions are reported, so older ones are dropped
+    await prisma.$transaction([
+      prisma.feedExclusion.deleteMany({ where: { shop } }),
+      prisma.feedExclusion.createMany({
+        data: result.excluded.map((exclusion) => ({ ...exclusion, shop, runId: feedRun.id }))
+      }),
+      prisma.feedRun.update({
+        where: { id: feedRun.id },
+        data: {
+          status: "SUCCEEDED",
+          finishedAt: new Date(),
+          offerCount: result.offerCount,
+          skippedCount: result.excluded.length,
+          diff: result.diff || undefined
         }
+      })
+    ]);
+    return result;
+  } catch (err) {
+    await prisma.feedRun.update({
+      where: { id: feedRun.id },
+      data: {
+        status: "FAILED",
+        finishedAt: new Date(),
+        errorMessage: err.message
       }
+    });
+    throw err;
+  } finally {
+    await releaseFeedLock(shop, feedRun.id);
+  }
+}
+
+async function recordRun(shop, trigger, generate) {
+  const feedRun = await beginRun(shop, trigger);
+  if (!feedRun) {
+    console.log(`Feed generation for ${shop} skipped, another one is running`);
+    return null;
+  }
+  return completeRun(shop, feedRun, generate);
+}
+
+function crawlCatalog(shop, dbSession) {
+  return async (runId, reportProgress) => {
+    const graphql = createAdminClient(shop, dbSession.accessToken);
+    await reportProgress({ stage: "FETCHING" }, { force: true });
+    const shopData = await fetchShopData(graphql);
+    const rules = await getFeedRules(shop);
+    const crawlStartedAt = new Date();
+    const crawledVariants = await fetchFeedVariants(graphql, rules.paramMappings, reportProgress);
+    await reportProgress({ stage: "CACHING", variantsFetched: crawledVariants.length }, { force: true });
+    await replaceFeedCache(shop, crawledVariants, crawlStartedAt);
+    // The cache now also holds webhook changes that arrived during the crawl
+    const allVariants = await loadCachedVariants(shop);
+    await refreshMarketPrices(shop, graphql, shopData, reportProgress);
+    return writeFeed(shop, runId, shopData, allVariants, reportProgress);
+  };
+}
+
+// Market feeds are optional: a shop without the markets scope, or a market that cannot be priced, never holds up the main feeds
+async function refreshMarketPrices(shop, graphql, shopData, reportProgress) {
+  try {
+    await syncFeedMarkets(shop, await fetchMarkets(graphql), shopData);
+  } catch (err) {
+    console.error(`Could not refresh markets for ${shop}, market feeds keep their last prices:`, err);
+    return;
+  }
+
+  const markets = await getEnabledFeedMarkets(shop);
+  for (const [index, market] of markets.entries()) {
+    await reportProgress({ stage: "PRICING", marketsPriced: index, marketsTotal: markets.length }, { force: true });
+    try {
+      const prices = await fetchMarketPrices(graphql, market.countryCode, reportProgress);
+      await saveFeedMarketPrices(shop, market.handle, prices);
+    } catch (err) {
+      console.error(`Could not price market ${market.handle} for ${shop}, its feeds keep their last prices:`, err);
     }
-  `;
+  }
+}
+
+async function run({ shop, trigger = "manual" }) {
+  await loadEnv();
   
-  let hasNextPage = true;
-  let cursor = null;
-  const allVariants = [];
+  const dbSession = await getOfflineSession(shop);
   
-  while (hasNextPage) {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: {
-        [tokenHeader]: accessToken,
-        [contentTypeHeader]: "application/json"
-      },
-      body: JSON.stringify({
-        query: query,
-        variables: {
-          first: 50,
-          after: cursor
-        }
-      })
-    });
-    
-    if (!response.ok) {
-      const errText = await response.text();
-      throw new Error(errText);
-    }
-    
-    const result = await response.json();
-    if (result.errors) {
-      throw new Error(JSON.stringify(result.errors));
-    }
-    
-    const edgeNodes = result.data?.productVariants?.edges || [];
-    for (const edge of edgeNodes) {
-      if (edge.node) {
-        allVariants.push(edge.node);
-      }
-    }
-    
-    const pageInfo = result.data?.productVariants?.pageInfo;
-    hasNextPage = pageInfo?.hasNextPage || false;
-    cursor = pageInfo?.endCursor || null;
-    
-    if (hasNextPage) {
-      await new Promise((resolve) => setTimeout(resolve, 500));
-    }
+  return recordRun(shop, trigger, crawlCatalog(shop, dbSession));
+}
+
+// Resolves once the run is recorded and holds the lock, so the Feed page can report a busy shop or a missing session right away
+async function startFeedRun({ shop, trigger = "manual" }) {
+  await loadEnv();
+
+  const dbSession = await getOfflineSession(shop);
+  const feedRun = await beginRun(shop, trigger);
+  if (!feedRun) {
+    throw new Error("A feed generation is already running for this shop");
+  }
+
+  completeRun(shop, feedRun, crawlCatalog(shop, dbSession)).catch((err) => {
+    console.error(`Feed generation failed for ${shop}:`, err);
+  });
+  return feedRun;
+}
+
+// Rebuilds the XML from the webhook-maintained variant cache instead of crawling the catalog
+async function rebuildFromCache(shop) {
+  // Until a full sync has primed the cache it only holds the variants webhooks touched
+  const fullRun = await prisma.feedRun.findFirst({
+    where: { shop, status: "SUCCEEDED", trigger: { not: "webhook" } }
+  });
+  if (!fullRun) {
+    return null;
+  }
+
+  // A running crawl may publish before this change reaches its feeds; the cache keeps it, so rebuild once it is done
+  if (await isFeedLocked(shop)) {
+    scheduleRebuild(shop);
+    return null;
   }
+
+  const dbSession = await getOfflineSession(shop);
   
-  const feedVariants = allVariants.filter(
-    (v) => (v.product?.productType || "").toLowerCase().trim() !== "test-product"
-  );
+  return recordRun(shop, "webhook", async (runId, reportProgress) => {
+    await reportProgress({ stage: "LOADING_CACHE" }, { force: true });
+    const allVariants = await loadCachedVariants(shop);
+    if (allVariants.length === 0) {
+      throw new Error("Variant cache is empty, run a full feed sync first");
+    }
+    const graphql = createAdminClient(shop, dbSession.accessToken);
+    const shopData = await fetchShopData(graphql);
+    return writeFeed(shop, runId, shopData, allVariants, reportProgress);
+  });
+}
+
+// Webhooks arrive in bursts (bulk edits, multi-location stock), so coalesce them into one rebuild
+function scheduleRebuild(shop) {
+  clearTimeout(pendingRebuilds.get(shop));
+  pendingRebuilds.set(shop, setTimeout(() => {
+    pendingRebuilds.delete(shop);
+    rebuildFromCache(shop).catch((err) => {
+      console.error(`Feed rebuild failed for ${shop}:`, err);
+    });
+  }, REBUILD_DEBOUNCE_MS));
+}
 
-  const categoriesMap = new Map();
-  let categoryIdCounter = 1;
+// The first run, or one after the snapshot was lost, has nothing to compare against
+async function diffWithPreviousSnapshot(shop, snapshot) {
+  const previousContent = await readFeedFile(shop, OFFER_SNAPSHOT_FILE);
+  if (previousContent === null) {
+    return null;
+  }
+  try {
+    return diffFeedSnapshots(JSON.parse(previousContent), snapshot);
+  } catch (err) {
+    console.error(`Previous offer snapshot for ${shop} is unreadable:`, err);
+    return null;
+  }
+}
+
+async function writeFeed(shop, runId, shopData, allVariants, reportProgress) {
+  const rules = await getFeedRules(shop);
+  const feedVariants = allVariants.filter((v) => !isExcludedProductType(v, rules));
+
+  const typeNames = [];
   for (const variant of feedVariants) {
-    const rawType = variant.product?.productType || "Bouquets";
+    const rawType = variant.product?.productType || rules.defaultProductType;
     const type = rawType.trim();
-    if (!categoriesMap.has(type)) {
-      categoriesMap.set(type, categoryIdCounter++);
+    if (!typeNames.includes(type)) {
+      typeNames.push(type);
     }
   }
+  const categoriesMap = await assignCategoryIds(shop, typeNames);
 
-  const categoriesList = Array.from(categoriesMap.entries()).map(([name, id]) => ({
-    id,
-    name
-  }));
+  const categoriesList = Array.from(categoriesMap.entries())
+    .map(([name, id]) => ({ id, name }))
+    .sort((a, b) => a.id - b.id);
 
   const shopInfo = {
     name: shopData.name || "Flower Station",
@@ -187,23 +283,94 @@ async function run() {
     url: (shopData.url || `https://${shop}`).replace(/\/$/, ""),
     currencyCode: shopData.currencyCode || "GBP",
     categories: categoriesList,
-    categoriesMap
+    categoriesMap,
+    overrides: await getFeedOverrides(shop),
+    compositions: await getStoredCompositions(shop)
   };
 
-  const xml = buildXmlFeed(feedVariants, shopInfo);
-  
-  const dirPath = path.join(process.cwd(), "public", "feeds");
-  await fs.mkdir(dirPath, { recursive: true });
-  
-  const filePath = path.join(dirPath, "flowwow.xml");
-  await fs.writeFile(filePath, xml, "utf8");
+  shopInfo.categoryMappings = await prisma.feedCategoryMapping.findMany({ where: { shop } });
+
+  // Definitions share offers and exclusions and differ only in their output and category taxonomy
+  let result = null;
+  const files = [];
+  const exclusionsByKey = new Map();
+  // A market enabled since the last full sync has no prices yet and waits for the next one
+  const markets = (await getEnabledFeedMarkets(shop)).filter((market) => market.prices);
+  await reportProgress({
+    stage: "BUILDING",
+    variantsTotal: allVariants.length,
+    variantsProcessed: 0,
+    feedsBuilt: 0,
+    feedsTotal: FEED_DEFINITIONS.length * (markets.length + 1)
+  }, { force: true });
+  for (const definition of FEED_DEFINITIONS) {
+    const { content, offerCount, offers, categories, excluded } = buildFeed(definition, allVariants, shopInfo, rules);
+    files.push({ fileName: definition.fileName, content });
+    result = result || { offerCount, offers, categories, excluded: [] };
+    // Each exclusion is recorded once with every feed that dropped it
+    for (const exclusion of excluded) {
+      const key = `${exclusion.variantId}:${exclusion.reason}`;
+      if (exclusionsByKey.has(key)) {
+        exclusionsByKey.get(key).feeds.push(definition.name);
+      } else {
+        const recorded = { ...exclusion, feeds: [definition.name] };
+        exclusionsByKey.set(key, recorded);
+        result.excluded.push(recorded);
+      }
+    }
+    await reportProgress({ variantsProcessed: allVariants.length, feedsBuilt: files.length });
+  }
+
+  // Each enabled market gets every feed again with its own prices, currency and storefront URL
+  for (const market of markets) {
+    const marketVariants = applyMarketPrices(allVariants, market.prices);
+    const marketInfo = getMarketShopInfo(shopInfo, market);
+    const marketRules = getMarketRules(rules);
+    for (const definition of FEED_DEFINITIONS) {
+      const { content } = buildFeed(definition, marketVariants, marketInfo, marketRules);
+      files.push({ fileName: getMarketFeedFileName(market.handle, definition.fileName), content });
+      await reportProgress({ feedsBuilt: files.length });
+    }
+  }
+
+  // The snapshot travels with the version, so the served one always matches the live feeds: a held version
+  // leaves it alone and a rollback brings the old one back
+  const snapshot = snapshotOffers(result.offers, result.categories);
+  const diff = await diffWithPreviousSnapshot(shop, snapshot);
+  files.push({ fileName: OFFER_SNAPSHOT_FILE, content: JSON.stringify(snapshot) });
+
+  await reportProgress({ stage: "PUBLISHING" }, { force: true });
+  const version = await saveFeedVersion(shop, { runId, offerCount: result.offerCount, files }, rules);
+
+  return { offerCount: result.offerCount, excluded: result.excluded, diff, version };
+}
+
+async function runAll({ trigger = "manual" } = {}) {
+  await loadEnv();
+
+  const shops = await getFeedShops();
+  const failures = [];
+  for (const shop of shops) {
+    try {
+      await run({ shop, trigger });
+    } catch (err) {
+      console.error(`Feed generation failed for ${shop}:`, err);
+      failures.push(shop);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`Feed generation failed for: ${failures.join(", ")}`);
+  }
 }
 
 const isMain = process.argv[1] && (process.argv[1].endsWith("feedWorker.js") || process.argv[1].endsWith("feedWorker"));
 if (isMain || process.env.RUN_WORKER === "true") {
-  run().catch((err) => {
+  const cliShop = isMain ? process.argv[2] : null;
+  const job = cliShop ? run({ shop: cliShop, trigger: "cli" }) : runAll({ trigger: "cli" });
+  job.catch((err) => {
     console.error(err);
     process.exit(1);
   });
 }
-export { run };
+export { run, runAll, scheduleRebuild, startFeedRun };
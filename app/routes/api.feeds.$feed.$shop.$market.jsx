@@ -0,0 +1,19 @@
+import { handleFeedRequest } from "../feedResponse.server";
+import { isValidShopDomain } from "../feedStorage.server";
+import { getFeedDefinition } from "../feedDefinitions.js";
+import { getFeedMarket, getMarketFeedFileName } from "../feedMarkets.server";
+
+// Market feeds share the access rules and tokens of their feed
+export const loader = async ({ request, params }) => {
+  const definition = getFeedDefinition(params.feed);
+  const market = definition && isValidShopDomain(params.shop)
+    ? await getFeedMarket(params.shop, params.market)
+    : null;
+  if (!market?.enabled) {
+    return new Response("Unknown feed", { status: 404 });
+  }
+  return handleFeedRequest(request, params.shop, {
+    ...definition,
+    fileName: getMarketFeedFileName(market.handle, definition.fileName)
+  });
+};
@@ -0,0 +1,10 @@
+import { handleFeedRequest } from "../feedResponse.server";
+import { getFeedDefinition } from "../feedDefinitions.js";
+
+export const loader = async ({ request, params }) => {
+  const definition = getFeedDefinition(params.feed);
+  if (!definition) {
+    return new Response("Unknown feed", { status: 404 });
+  }
+  return handleFeedRequest(request, params.shop, definition);
+};
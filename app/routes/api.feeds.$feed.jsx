@@ -0,0 +1,15 @@
+import { getDefaultFeedShop } from "../feedStorage.server";
+import { handleFeedRequest } from "../feedResponse.server";
+import { getFeedDefinition } from "../feedDefinitions.js";
+
+export const loader = async ({ request, params }) => {
+  const definition = getFeedDefinition(params.feed);
+  if (!definition) {
+    return new Response("Unknown feed", { status: 404 });
+  }
+  const shop = await getDefaultFeedShop();
+  if (!shop) {
+    return new Response("No default shop, use /api/feeds/:feed/:shop or set FEED_DEFAULT_SHOP", { status: 404 });
+  }
+  return handleFeedRequest(request, shop, definition);
+};
@@ -0,0 +1,299 @@
+import { useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { authenticate } from "../shopify.server";
+import { FEED_TARGETS } from "../feedHelper.js";
+import db from "../db.server";
+
+const SOURCE_TYPES = {
+  PRODUCT_TYPE: "Product type",
+  COLLECTION: "Collection"
+};
+
+export const loader = async ({ request }) => {
+  const { session, admin } = await authenticate.admin(request);
+
+  const mappings = await db.feedCategoryMapping.findMany({
+    where: { shop: session.shop },
+    orderBy: [{ target: "asc" }, { sourceType: "asc" }, { sourceValue: "asc" }]
+  });
+
+  const categories = await db.feedCategory.findMany({
+    where: { shop: session.shop },
+    orderBy: { categoryId: "asc" }
+  });
+
+  let collections = [];
+  try {
+    const response = await admin.graphql(
+      `#graphql
+        query getCollections {
+          collections(first: 250, sortKey: TITLE) {
+            nodes {
+              handle
+              title
+            }
+          }
+        }`
+    );
+    const data = await response.json();
+    collections = data.data?.collections?.nodes || [];
+  } catch (error) {
+    console.error("Loader error:", error);
+  }
+
+  return {
+    mappings,
+    productTypes: categories.map((category) => ({ name: category.name, categoryId: category.categoryId })),
+    collections
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const action = formData.get("action");
+
+  try {
+    if (action === "save_mapping") {
+      const target = formData.get("target");
+      const sourceType = formData.get("sourceType");
+      const sourceValue = String(formData.get("sourceValue") || "").trim();
+      const marketplaceCategoryId = String(formData.get("marketplaceCategoryId") || "").trim();
+      const marketplaceCategoryName = String(formData.get("marketplaceCategoryName") || "").trim();
+      const parentCategoryId = String(formData.get("parentCategoryId") || "").trim() || null;
+      const parentCategoryName = String(formData.get("parentCategoryName") || "").trim() || null;
+
+      if (!FEED_TARGETS[target] || !SOURCE_TYPES[sourceType]) {
+        return { error: "Unknown feed target or source type" };
+      }
+      if (!sourceValue || !marketplaceCategoryId || !marketplaceCategoryName) {
+        return { error: "Source, marketplace category ID and category name are required" };
+      }
+      if (parentCategoryId === marketplaceCategoryId) {
+        return { error: "A category cannot be its own parent" };
+      }
+
+      // Unmapped product types are sent under their own feed ID, so a marketplace ID equal to one would merge
+      // that type into the marketplace category. The type this mapping replaces is the only one that may match.
+      const categoryIds = [marketplaceCategoryId, parentCategoryId].filter((id) => /^\d+$/.test(id || "")).map(Number);
+      const clashingType = await db.feedCategory.findFirst({
+        where: {
+          shop: session.shop,
+          categoryId: { in: categoryIds },
+          ...(sourceType === "PRODUCT_TYPE" ? { name: { not: sourceValue } } : {})
+        }
+      });
+      if (clashingType) {
+        return {
+          error: `Category ID ${clashingType.categoryId} is already the feed ID of product type "${clashingType.name}", choose a different marketplace category ID`
+        };
+      }
+
+      const data = { marketplaceCategoryId, marketplaceCategoryName, parentCategoryId, parentCategoryName };
+      await db.feedCategoryMapping.upsert({
+        where: {
+          shop_target_sourceType_sourceValue: { shop: session.shop, target, sourceType, sourceValue }
+        },
+        create: { shop: session.shop, target, sourceType, sourceValue, ...data },
+        update: data
+      });
+
+      return { success: true, message: "Mapping saved. It applies from the next feed run." };
+    }
+
+    if (action === "delete_mapping") {
+      await db.feedCategoryMapping.deleteMany({
+        where: { id: formData.get("mappingId"), shop: session.shop }
+      });
+      return { success: true, message: "Mapping deleted." };
+    }
+
+    return { error: "Unknown action" };
+  } catch (error) {
+    console.error("Feed category mapping error:", error);
+    return { error: error.message };
+  }
+};
+
+export default function FeedCategories() {
+  const { mappings, productTypes, collections } = useLoaderData();
+  const fetcher = useFetcher();
+  const [target, setTarget] = useState(Object.keys(FEED_TARGETS)[0]);
+  const [sourceType, setSourceType] = useState("PRODUCT_TYPE");
+  const [sourceValue, setSourceValue] = useState("");
+  const [marketplaceCategoryId, setMarketplaceCategoryId] = useState("");
+  const [marketplaceCategoryName, setMarketplaceCategoryName] = useState("");
+  const [parentCategoryId, setParentCategoryId] = useState("");
+  const [parentCategoryName, setParentCategoryName] = useState("");
+
+  const sourceOptions = sourceType === "PRODUCT_TYPE"
+    ? productTypes.map((productType) => ({
+      value: productType.name,
+      label: `${productType.name} (feed ID ${productType.categoryId})`
+    }))
+    : collections.map((collection) => ({ value: collection.handle, label: collection.title }));
+
+  const targetMappings = mappings.filter((mapping) => mapping.target === target);
+  const isLoading = fetcher.state !== "idle";
+
+  const handleSave = () => {
+    fetcher.submit(
+      {
+        action: "save_mapping",
+        target,
+        sourceType,
+        sourceValue,
+        marketplaceCategoryId,
+        marketplaceCategoryName,
+        parentCategoryId,
+        parentCategoryName
+      },
+      { method: "post" }
+    );
+  };
+
+  const handleEdit = (mapping) => {
+    setSourceType(mapping.sourceType);
+    setSourceValue(mapping.sourceValue);
+    setMarketplaceCategoryId(mapping.marketplaceCategoryId);
+    setMarketplaceCategoryName(mapping.marketplaceCategoryName);
+    setParentCategoryId(mapping.parentCategoryId || "");
+    setParentCategoryName(mapping.parentCategoryName || "");
+  };
+
+  const handleDelete = (mappingId) => {
+    if (confirm("Delete this category mapping?")) {
+      fetcher.submit({ action: "delete_mapping", mappingId }, { method: "post" });
+    }
+  };
+
+  return (
+    <s-page heading="Feed Category Mapping">
+      {fetcher.data?.error && (
+        <s-banner status="critical">{fetcher.data.error}</s-banner>
+      )}
+      {fetcher.data?.success && (
+        <s-banner status="success">{fetcher.data.message}</s-banner>
+      )}
+
+      <s-section heading="Marketplace">
+        <s-paragraph color="subdued">
+          Each marketplace has its own category tree. Map a product type or a collection to a marketplace category, with an optional parent category. Collection mappings take priority over product type mappings, and unmapped product types keep their own feed category ID.
+        </s-paragraph>
+        <s-select label="Feed" value={target} onChange={(e) => setTarget(e.target.value)}>
+          {Object.entries(FEED_TARGETS).map(([value, label]) => (
+            <s-option key={value} value={value}>{label}</s-option>
+          ))}
+        </s-select>
+      </s-section>
+
+      <s-section heading={`Add or Update ${FEED_TARGETS[target]} Mapping`}>
+        <s-stack direction="block" gap="base">
+          <s-select
+            label="Map by"
+            value={sourceType}
+            onChange={(e) => {
+              setSourceType(e.target.value);
+              setSourceValue("");
+            }}
+          >
+            {Object.entries(SOURCE_TYPES).map(([value, label]) => (
+              <s-option key={value} value={value}>{label}</s-option>
+            ))}
+          </s-select>
+          <s-select
+            label={SOURCE_TYPES[sourceType]}
+            value={sourceValue}
+            onChange={(e) => setSourceValue(e.target.value)}
+          >
+            <s-option value="">Select...</s-option>
+            {sourceOptions.map((option) => (
+              <s-option key={option.value} value={option.value}>{option.label}</s-option>
+            ))}
+          </s-select>
+          <s-stack direction="inline" gap="base">
+            <s-text-field
+              label="Marketplace category ID"
+              value={marketplaceCategoryId}
+              onChange={(e) => setMarketplaceCategoryId(e.target.value)}
+            />
+            <s-text-field
+              label="Marketplace category name"
+              value={marketplaceCategoryName}
+              onChange={(e) => setMarketplaceCategoryName(e.target.value)}
+            />
+          </s-stack>
+          <s-stack direction="inline" gap="base">
+            <s-text-field
+              label="Parent category ID (optional)"
+              value={parentCategoryId}
+              onChange={(e) => setParentCategoryId(e.target.value)}
+            />
+            <s-text-field
+              label="Parent category name (optional)"
+              value={parentCategoryName}
+              onChange={(e) => setParentCategoryName(e.target.value)}
+            />
+          </s-stack>
+          <s-stack direction="inline" gap="base">
+            <s-button
+              variant="primary"
+              onClick={handleSave}
+              loading={isLoading}
+              disabled={!sourceValue || !marketplaceCategoryId || !marketplaceCategoryName}
+            >
+              Save Mapping
+            </s-button>
+          </s-stack>
+        </s-stack>
+      </s-section>
+
+      <s-section heading={`${FEED_TARGETS[target]} Mappings (${targetMappings.length})`}>
+        {targetMappings.length === 0 ? (
+          <s-paragraph color="subdued">
+            No mappings yet. The feed sends Shopify product types as its categories.
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-head>
+              <s-table-row>
+                <s-table-cell>Source</s-table-cell>
+                <s-table-cell>Marketplace Category</s-table-cell>
+                <s-table-cell>Parent</s-table-cell>
+                <s-table-cell>Actions</s-table-cell>
+              </s-table-row>
+            </s-table-head>
+            <s-table-body>
+              {targetMappings.map((mapping) => (
+                <s-table-row key={mapping.id}>
+                  <s-table-cell>
+                    <s-stack direction="inline" gap="tight">
+                      <s-badge>{SOURCE_TYPES[mapping.sourceType]}</s-badge>
+                      <s-text>{mapping.sourceValue}</s-text>
+                    </s-stack>
+                  </s-table-cell>
+                  <s-table-cell>{mapping.marketplaceCategoryName} ({mapping.marketplaceCategoryId})</s-table-cell>
+                  <s-table-cell>
+                    {mapping.parentCategoryId
+                      ? `${mapping.parentCategoryName || ""} (${mapping.parentCategoryId})`
+                      : "-"}
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-stack direction="inline" gap="tight">
+                      <s-button variant="secondary" size="small" onClick={() => handleEdit(mapping)}>
+                        Edit
+                      </s-button>
+                      <s-button variant="secondary" size="small" onClick={() => handleDelete(mapping.id)} disabled={isLoading}>
+                        Delete
+                      </s-button>
+                    </s-stack>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
@@ -1,117 +1,1652 @@
 import { useState, useEffect } from "react";
-import { useFetcher, useLoaderData } from "react-router";
-import { promises as fs } from "fs";
-import path from "path";
-import { run } from "../feedWorker.js";
-
-export const loader = async () => {
-  const filePath = path.join(process.cwd(), "public", "feeds", "flowwow.xml");
-  let lastUpdated = null;
+import { useFetcher, useLoaderData, useRevalidator } from "react-router";
+import { authenticate } from "../shopify.server";
+import { startFeedRun } from "../feedWorker.js";
+import { getNextScheduledRun } from "../feedScheduler.server";
+import { getFeedFileUpdatedAt, readFeedFile } from "../feedStorage.server";
+import { FEED_DEFINITIONS, getFeedDefinition } from "../feedDefinitions.js";
+import { DIFF_CHANGE_TYPES, DIFF_LIST_LIMIT, OFFER_SNAPSHOT_FILE, countDiffChanges } from "../feedDiff.js";
+import {
+  EXCLUSION_REASONS,
+  FEED_RUN_STAGES,
+  MAX_FEED_PICTURES,
+  MAX_FEED_VERSIONS,
+  OVERRIDE_FIELDS,
+  getOverriddenFields,
+  toCsv
+} from "../feedHelper.js";
+import {
+  formatParamDefaults,
+  formatParamMappings,
+  getFeedRules,
+  saveFeedRules
+} from "../feedSettings.server";
+import { deleteFeedOverride, getFeedOverridePreview, saveFeedOverride } from "../feedOverrides.server";
+import { getCompositionStats, importStemCountCsv, importVisionProgress } from "../feedCompositions.server";
+import { getStemCountJob, startStemCounting } from "../stemCounter.server";
+import { getFeedVersions, publishFeedVersion, unpinFeedVersions } from "../feedVersions.server";
+import { getFeedMarkets, setFeedMarketEnabled } from "../feedMarkets.server";
+import { failOrphanedFeedRuns } from "../feedLock.server";
+import {
+  createFeedAccessToken,
+  getFeedAccessOverview,
+  revokeFeedAccessToken,
+  saveFeedAccess
+} from "../feedAccess.server";
+import db from "../db.server";
+
+const EXCLUSIONS_PER_PAGE = 25;
+const OFFERS_PER_PAGE = 25;
+
+function formatTimestamp(date) {
+  if (!date) {
+    return null;
+  }
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  const hours = String(date.getHours()).padStart(2, "0");
+  const minutes = String(date.getMinutes()).padStart(2, "0");
+  const seconds = String(date.getSeconds()).padStart(2, "0");
+  const dash = String.fromCharCode(45);
+  return `${year}${dash}${month}${dash}${day} ${hours}:${minutes}:${seconds}`;
+}
+
+// Shopify's CDN resizes on request, so the preview does not load full-size product photos
+function thumbnailUrl(url) {
+  if (!url) {
+    return "";
+  }
+  return `${url}${url.includes("?") ? "&" : "?"}width=80`;
+}
+
+async function loadOfferPreview(shop) {
+  const content = await readFeedFile(shop, OFFER_SNAPSHOT_FILE);
+  if (content === null) {
+    return [];
+  }
   try {
-    const stats = await fs.stat(filePath);
-    const date = stats.mtime;
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, "0");
-    const day = String(date.getDate()).padStart(2, "0");
-    const hours = String(date.getHours()).padStart(2, "0");
-    const minutes = String(date.getMinutes()).padStart(2, "0");
-    const seconds = String(date.getSeconds()).padStart(2, "0");
-    const dash = String.fromCharCode(45);
-    lastUpdated = `${year}${dash}${month}${dash}${day} ${hours}:${minutes}:${seconds}`;
-  } catch (error) {
-    lastUpdated = "Not generated yet";
+    return Object.entries(JSON.parse(content))
+      .map(([id, offer]) => ({
+        id,
+        productId: offer.productId || "",
+        name: offer.name,
+        price: offer.price,
+        oldPrice: offer.compareAt > offer.price ? offer.compareAt : null,
+        category: offer.category || "",
+        available: offer.available,
+        consist: offer.consist,
+        thumbnail: thumbnailUrl(offer.picture),
+        // Snapshots written before overrides were recorded have none
+        overriddenFields: offer.overriddenFields || []
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (err) {
+    console.error(`Offer snapshot for ${shop} is unreadable:`, err);
+    return [];
   }
+}
+
+function formatDiffPrice(price, compareAt) {
+  return compareAt > price ? `${price} (was ${compareAt})` : String(price);
+}
+
+// One row per change, with before and after written the same way for every change type
+function flattenDiff(diff) {
+  return Object.keys(DIFF_CHANGE_TYPES).flatMap((type) => diff[type].map((change) => {
+    let before = "";
+    let after = "";
+    if (type === "added") {
+      after = String(change.price);
+    } else if (type === "removed") {
+      before = String(change.price);
+    } else if (type === "repriced") {
+      before = formatDiffPrice(change.before, change.compareAtBefore);
+      after = formatDiffPrice(change.after, change.compareAtAfter);
+    } else if (type === "availability") {
+      before = change.before ? "Available" : "Unavailable";
+      after = change.after ? "Available" : "Unavailable";
+    } else {
+      before = change.before || "(none)";
+      after = change.after || "(none)";
+    }
+    return { type, id: change.id, name: change.name, before, after };
+  }));
+}
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const updatedAt = await getFeedFileUpdatedAt(shop, "flowwow.xml");
+  const lastUpdated = formatTimestamp(updatedAt) || "Not generated yet";
   
   const appUrl = (process.env.SHOPIFY_APP_URL || "").replace(/\/$/, "");
-  const feedUrl = `${appUrl}/api/feeds/flowwow`;
+  const feedUrls = FEED_DEFINITIONS.map((definition) => ({
+    target: definition.name,
+    label: definition.label,
+    format: definition.formatLabel,
+    url: `${appUrl}/api/feeds/${definition.name}/${shop}`
+  }));
+  const markets = (await getFeedMarkets(shop)).map((market) => ({
+    ...market,
+    pricesUpdatedAt: formatTimestamp(market.pricesUpdatedAt),
+    feedUrls: feedUrls.map((feed) => ({ ...feed, url: `${feed.url}/${market.handle}` }))
+  }));
+
+  // Only a live lock means a sync is running; a run row a dead worker left RUNNING is failed here
+  const activeLock = await failOrphanedFeedRuns(shop);
+  const feedRuns = await db.feedRun.findMany({
+    where: { shop },
+    orderBy: { startedAt: "desc" },
+    take: 10
+  });
+  const recentRuns = feedRuns.map((feedRun) => ({
+    id: feedRun.id,
+    trigger: feedRun.trigger,
+    status: feedRun.status,
+    startedAt: formatTimestamp(feedRun.startedAt),
+    finishedAt: formatTimestamp(feedRun.finishedAt),
+    offerCount: feedRun.offerCount,
+    skippedCount: feedRun.skippedCount,
+    changeCount: feedRun.diff ? countDiffChanges(feedRun.diff) : null,
+    progress: feedRun.progress,
+    errorMessage: feedRun.errorMessage
+  }));
+  const diffRun = feedRuns.find((feedRun) => feedRun.diff);
+  const latestDiff = diffRun && {
+    startedAt: formatTimestamp(diffRun.startedAt),
+    counts: diffRun.diff.counts,
+    changes: flattenDiff(diffRun.diff)
+  };
+  const nextRunAt = formatTimestamp(getNextScheduledRun());
+
+  const accessOverview = await getFeedAccessOverview(shop);
+  const tokenLabels = Object.fromEntries(accessOverview.tokens.map((token) => [token.id, token.label]));
+  const feedAccess = FEED_DEFINITIONS.map((definition) => {
+    const access = accessOverview.access[definition.name];
+    return {
+      feed: definition.name,
+      label: definition.label,
+      requireToken: access?.requireToken || false,
+      ipAllowlist: (access?.ipAllowlist || []).join("\n"),
+      lastFetchedAt: formatTimestamp(accessOverview.lastFetchedAt[definition.name]),
+      tokens: accessOverview.tokens
+        .filter((token) => token.feed === definition.name)
+        .map((token) => ({
+          id: token.id,
+          label: token.label,
+          tokenHint: token.tokenHint,
+          createdAt: formatTimestamp(token.createdAt),
+          lastUsedAt: formatTimestamp(token.lastUsedAt)
+        }))
+    };
+  });
+  const recentFetches = accessOverview.recentFetches.map((fetchLog) => ({
+    id: fetchLog.id,
+    feed: fetchLog.feed,
+    ip: fetchLog.ip,
+    userAgent: fetchLog.userAgent,
+    status: fetchLog.status,
+    tokenLabel: fetchLog.tokenId ? tokenLabels[fetchLog.tokenId] || "Revoked token" : null,
+    createdAt: formatTimestamp(fetchLog.createdAt)
+  }));
+
+  const feedVersions = await getFeedVersions(shop);
+  const liveVersion = feedVersions
+    .filter((version) => version.publishedAt)
+    .sort((a, b) => b.publishedAt - a.publishedAt)[0];
+  const versions = feedVersions.map((version) => ({
+    id: version.id,
+    createdAt: formatTimestamp(version.createdAt),
+    publishedAt: formatTimestamp(version.publishedAt),
+    offerCount: version.offerCount,
+    heldReason: version.heldReason,
+    pinned: version.pinned,
+    live: version.id === liveVersion?.id,
+    newerThanLive: !liveVersion || version.createdAt > liveVersion.createdAt
+  }));
+
+  const offers = await loadOfferPreview(shop);
+
+  const exclusions = await db.feedExclusion.findMany({
+    where: { shop },
+    orderBy: [{ reason: "asc" }, { name: "asc" }]
+  });
+  
+  const feedRules = await getFeedRules(shop);
+  const rules = {
+    ...feedRules,
+    paramMappingsText: formatParamMappings(feedRules.paramMappings),
+    paramDefaultsText: formatParamDefaults(feedRules.paramDefaults)
+  };
+  
+  const overrides = await getFeedOverridePreview(shop);
+  const compositionStats = await getCompositionStats(shop);
+  const stemCounts = Object.fromEntries(Object.entries(compositionStats).map(([source, stats]) => [
+    source,
+    { count: stats.count, updatedAt: formatTimestamp(stats.updatedAt) }
+  ]));
+  
+  const job = getStemCountJob(shop);
+  const stemCountJob = job && {
+    ...job,
+    startedAt: formatTimestamp(job.startedAt),
+    finishedAt: formatTimestamp(job.finishedAt)
+  };
   
-  return { feedUrl, lastUpdated };
+  return {
+    feedUrls,
+    markets,
+    syncRunning: !!activeLock,
+    lastUpdated,
+    recentRuns,
+    latestDiff,
+    versions,
+    feedAccess,
+    recentFetches,
+    nextRunAt,
+    offers,
+    exclusions,
+    rules,
+    overrides,
+    stemCounts,
+    stemCountJob
+  };
 };
 
-export const action = async () => {
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const action = formData.get("action");
+
   try {
-    run().catch((err) => {
-      console.error(err);
-    });
-    return { success: true };
+    if (action === "generate") {
+      await startFeedRun({ shop: session.shop, trigger: "manual" });
+      return { success: true };
+    }
+
+    if (action === "export_exclusions") {
+      const exclusions = await db.feedExclusion.findMany({
+        where: { shop: session.shop },
+        orderBy: [{ reason: "asc" }, { name: "asc" }]
+      });
+
+      const csvRows = [["Variant ID", "Product ID", "Name", "Reason Code", "Reason", "Feeds", "Admin URL"]];
+      for (const exclusion of exclusions) {
+        csvRows.push([
+          exclusion.variantId,
+          exclusion.productId,
+          exclusion.name,
+          exclusion.reason,
+          EXCLUSION_REASONS[exclusion.reason] || exclusion.reason,
+          exclusion.feeds.map((feed) => getFeedDefinition(feed)?.label || feed).join(", "),
+          exclusion.productId ? `https://${session.shop}/admin/products/${exclusion.productId}` : ""
+        ]);
+      }
+
+      return { success: true, csvData: toCsv(csvRows) };
+    }
+
+    if (action === "download_feed") {
+      const definition = getFeedDefinition(formData.get("feed"));
+      const fileData = definition ? await readFeedFile(session.shop, definition.fileName) : null;
+      if (fileData === null) {
+        return { error: "Feed not generated yet. Please sync first." };
+      }
+      return { fileData, fileName: definition.fileName, contentType: definition.contentType };
+    }
+
+    if (action === "save_feed_access") {
+      const definition = getFeedDefinition(formData.get("feed"));
+      if (!definition) {
+        return { error: "Unknown feed" };
+      }
+      await saveFeedAccess(session.shop, definition.name, formData);
+      return { success: true, message: `Access rules for the ${definition.label} feed saved.` };
+    }
+
+    if (action === "create_access_token") {
+      const definition = getFeedDefinition(formData.get("feed"));
+      if (!definition) {
+        return { error: "Unknown feed" };
+      }
+      const token = await createFeedAccessToken(session.shop, definition.name, formData.get("label"));
+      return {
+        success: true,
+        message: "Access token created. Copy it now, it is not shown again.",
+        feed: definition.name,
+        token
+      };
+    }
+
+    if (action === "revoke_access_token") {
+      await revokeFeedAccessToken(session.shop, formData.get("tokenId"));
+      return { success: true, message: "Access token revoked. Requests using it are refused from now on." };
+    }
+
+    if (action === "toggle_market") {
+      const enabled = formData.get("enabled") === "true";
+      await setFeedMarketEnabled(session.shop, formData.get("marketId"), enabled);
+      return {
+        success: true,
+        message: enabled
+          ? "Market feed enabled. Its prices are fetched and its feeds built on the next sync."
+          : "Market feed disabled. Its URLs stop serving right away."
+      };
+    }
+
+    if (action === "save_rules") {
+      await saveFeedRules(session.shop, formData);
+      return { success: true, message: "Feed rules saved. They apply from the next feed run." };
+    }
+
+    if (action === "publish_version") {
+      const pin = formData.get("pin") === "true";
+      await publishFeedVersion(session.shop, formData.get("versionId"), { pin });
+      return {
+        success: true,
+        message: pin
+          ? "Feed version published and pinned. New syncs are kept as versions but not published until you unpin it."
+          : "Feed version published."
+      };
+    }
+
+    if (action === "unpin_version") {
+      await unpinFeedVersions(session.shop);
+      return { success: true, message: "Feed version unpinned. The next sync is published as usual." };
+    }
+
+    if (action === "save_override") {
+      await saveFeedOverride(session.shop, formData);
+      return { success: true, message: "Override saved. It applies from the next feed run." };
+    }
+
+    if (action === "delete_override") {
+      await deleteFeedOverride(session.shop, formData.get("overrideId"));
+      return { success: true, message: "Override deleted. It is removed from the next feed run." };
+    }
+
+    if (action === "import_stem_counts") {
+      const stemCountCsv = formData.get("stemCountCsv");
+      const visionProgress = formData.get("visionProgress");
+      if (!stemCountCsv && !visionProgress) {
+        return { error: "Choose a stem count CSV or a vision progress file to import" };
+      }
+
+      const messages = [];
+      if (stemCountCsv) {
+        const result = await importStemCountCsv(session.shop, stemCountCsv);
+        messages.push(`${result.imported} offers imported from the CSV (${result.skipped} rows skipped)`);
+      }
+      if (visionProgress) {
+        const result = await importVisionProgress(session.shop, visionProgress);
+        messages.push(`${result.imported} picture counts imported from the vision progress file (${result.skipped} entries skipped)`);
+      }
+      return { success: true, message: `${messages.join(". ")}. They apply from the next feed run.` };
+    }
+
+    if (action === "count_stems") {
+      startStemCounting(session.shop);
+      return { success: true, message: "Stem counting started for pictures without counts. Reload the page to follow its progress." };
+    }
+
+    return { error: "Unknown action" };
   } catch (err) {
     return { error: err.message };
   }
 };
 
 export default function ProductFeed() {
-  const { feedUrl, lastUpdated } = useLoaderData();
+  const {
+    feedUrls,
+    markets,
+    syncRunning,
+    lastUpdated,
+    recentRuns,
+    latestDiff,
+    versions,
+    feedAccess,
+    recentFetches,
+    nextRunAt,
+    offers,
+    exclusions,
+    rules,
+    overrides,
+    stemCounts,
+    stemCountJob
+  } = useLoaderData();
   const fetcher = useFetcher();
-  const [copied, setCopied] = useState(false);
-  const [generating, setGenerating] = useState(false);
+  const revalidator = useRevalidator();
+  const exportFetcher = useFetcher();
+  const rulesFetcher = useFetcher();
+  const overrideFetcher = useFetcher();
+  const versionFetcher = useFetcher();
+  const downloadFetcher = useFetcher();
+  const accessFetcher = useFetcher();
+  const marketFetcher = useFetcher();
+  const stemCountFetcher = useFetcher();
+  const [priceCap, setPriceCap] = useState(String(rules.priceCap));
+  const [pictureLimit, setPictureLimit] = useState(String(rules.pictureLimit));
+  const [versionLimit, setVersionLimit] = useState(String(rules.versionLimit));
+  const [maxOfferDropPercent, setMaxOfferDropPercent] = useState(
+    rules.maxOfferDropPercent === null ? "" : String(rules.maxOfferDropPercent)
+  );
+  const [defaultProductType, setDefaultProductType] = useState(rules.defaultProductType);
+  const [excludedProductTypes, setExcludedProductTypes] = useState(rules.excludedProductTypes.join(", "));
+  const [nonFloralKeywords, setNonFloralKeywords] = useState(rules.nonFloralKeywords.join(", "));
+  const [floralConsistNames, setFloralConsistNames] = useState(rules.floralConsistNames.join(", "));
+  const [paramMappings, setParamMappings] = useState(rules.paramMappingsText);
+  const [paramDefaults, setParamDefaults] = useState(rules.paramDefaultsText);
+  const [overrideForm, setOverrideForm] = useState({ variantId: "", name: "", description: "", picture: "", price: "", composition: "" });
+  const [stemCountFiles, setStemCountFiles] = useState({ stemCountCsv: "", visionProgress: "" });
+  const [copied, setCopied] = useState(null);
+  const [reasonFilter, setReasonFilter] = useState("");
+  const [exclusionSearch, setExclusionSearch] = useState("");
+  const [exclusionPage, setExclusionPage] = useState(1);
+  const [diffFilter, setDiffFilter] = useState("");
+  const [offerSearch, setOfferSearch] = useState("");
+  const [offerCategory, setOfferCategory] = useState("");
+  const [offerAvailability, setOfferAvailability] = useState("");
+  const [offerPage, setOfferPage] = useState(1);
+  const [accessFeed, setAccessFeed] = useState(feedAccess[0].feed);
+  const [accessForm, setAccessForm] = useState({
+    requireToken: String(feedAccess[0].requireToken),
+    ipAllowlist: feedAccess[0].ipAllowlist
+  });
+  const [tokenLabel, setTokenLabel] = useState("");
+  const [selectedMarketHandle, setSelectedMarketHandle] = useState(markets.find((market) => market.enabled)?.handle || "");
   
-  const handleCopy = () => {
-    navigator.clipboard.writeText(feedUrl);
-    setCopied(true);
-    setTimeout(() => setCopied(false), 2000);
+  const handleCopy = (target, url) => {
+    navigator.clipboard.writeText(url);
+    setCopied(target);
+    setTimeout(() => setCopied(null), 2000);
   };
   
   const handleGenerate = () => {
-    setGenerating(true);
     fetcher.submit({ action: "generate" }, { method: "post" });
   };
   
-  const handleDownload = async () => {
-    try {
-      const response = await fetch(`${feedUrl}?t=${Date.now()}`);
-      if (!response.ok) {
-        alert("Feed not generated yet. Please sync first.");
-        return;
+  const handleToggleMarket = (market) => {
+    marketFetcher.submit(
+      { action: "toggle_market", marketId: market.id, enabled: String(!market.enabled) },
+      { method: "post" }
+    );
+  };
+
+  const handleDownload = (feed) => {
+    downloadFetcher.submit({ action: "download_feed", feed }, { method: "post" });
+  };
+  
+  const latestRun = recentRuns[0];
+  const syncProgress = (syncRunning && latestRun?.status === "RUNNING" && latestRun.progress) || {};
+
+  // The run finishes in the worker, so the page reloads its status until it is done
+  useEffect(() => {
+    if (!syncRunning) return;
+    const interval = setInterval(() => {
+      if (revalidator.state === "idle") {
+        revalidator.revalidate();
       }
-      const blob = await response.blob();
+    }, 3000);
+    return () => clearInterval(interval);
+  }, [syncRunning, revalidator]);
+
+  useEffect(() => {
+    if (downloadFetcher.data?.fileData) {
+      const blob = new Blob([downloadFetcher.data.fileData], { type: downloadFetcher.data.contentType });
       const link = document.createElement("a");
       link.href = URL.createObjectURL(blob);
-      link.download = "flowwow.xml";
+      link.download = downloadFetcher.data.fileName;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
-    } catch (error) {
-      console.error(error);
     }
-  };
-  
+  }, [downloadFetcher.data]);
+
   useEffect(() => {
-    if (fetcher.data) {
-      setGenerating(false);
+    if (exportFetcher.data?.csvData) {
+      const blob = new Blob([exportFetcher.data.csvData], { type: "text/csv;charset=utf-8;" });
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `feed_exclusions_${new Date().toISOString().split("T")[0]}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
     }
-  }, [fetcher.data]);
+  }, [exportFetcher.data]);
+
+  const handleSaveRules = () => {
+    rulesFetcher.submit(
+      {
+        action: "save_rules",
+        priceCap,
+        pictureLimit,
+        versionLimit,
+        maxOfferDropPercent,
+        defaultProductType,
+        excludedProductTypes,
+        nonFloralKeywords,
+        floralConsistNames,
+        paramMappings,
+        paramDefaults
+      },
+      { method: "post" }
+    );
+  };
+
+  const setOverrideField = (field, value) => {
+    setOverrideForm((form) => ({ ...form, [field]: value }));
+  };
+
+  const handleSaveOverride = () => {
+    overrideFetcher.submit({ action: "save_override", ...overrideForm }, { method: "post" });
+  };
+
+  const handleEditOverride = (override) => {
+    setOverrideForm({
+      variantId: override.variantId,
+      name: override.name || "",
+      description: override.description || "",
+      picture: override.picture || "",
+      price: override.price ? String(override.price) : "",
+      composition: override.composition || ""
+    });
+  };
+
+  const accessByFeed = Object.fromEntries(feedAccess.map((access) => [access.feed, access]));
+  const selectedAccess = accessByFeed[accessFeed];
+
+  const handleAccessFeedChange = (feed) => {
+    setAccessFeed(feed);
+    setAccessForm({
+      requireToken: String(accessByFeed[feed].requireToken),
+      ipAllowlist: accessByFeed[feed].ipAllowlist
+    });
+  };
+
+  const handleSaveAccess = () => {
+    accessFetcher.submit({ action: "save_feed_access", feed: accessFeed, ...accessForm }, { method: "post" });
+  };
+
+  const handleCreateToken = () => {
+    accessFetcher.submit({ action: "create_access_token", feed: accessFeed, label: tokenLabel }, { method: "post" });
+    setTokenLabel("");
+  };
+
+  const handleRevokeToken = (token) => {
+    if (confirm(`Revoke the token "${token.label}"? Marketplaces using it lose access straight away.`)) {
+      accessFetcher.submit({ action: "revoke_access_token", tokenId: token.id }, { method: "post" });
+    }
+  };
+
+  const handlePublishVersion = (version, pin) => {
+    if (pin && !version.live && !confirm(`Roll the served feeds back to the version generated ${version.createdAt}?`)) {
+      return;
+    }
+    versionFetcher.submit({ action: "publish_version", versionId: version.id, pin: String(pin) }, { method: "post" });
+  };
+
+  const handleUnpinVersion = () => {
+    versionFetcher.submit({ action: "unpin_version" }, { method: "post" });
+  };
+
+  const handleDeleteOverride = (overrideId) => {
+    if (confirm("Delete this feed override?")) {
+      overrideFetcher.submit({ action: "delete_override", overrideId }, { method: "post" });
+    }
+  };
+
+  const handleStemCountFileChange = (field) => (event) => {
+    const file = event.target.files[0];
+    if (!file) {
+      setStemCountFiles((files) => ({ ...files, [field]: "" }));
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      setStemCountFiles((files) => ({ ...files, [field]: e.target.result }));
+    };
+    reader.readAsText(file);
+  };
+
+  const handleCountStems = () => {
+    stemCountFetcher.submit({ action: "count_stems" }, { method: "post" });
+  };
+
+  const handleImportStemCounts = () => {
+    stemCountFetcher.submit({ action: "import_stem_counts", ...stemCountFiles }, { method: "post" });
+  };
+
+  const handleExportExclusions = () => {
+    exportFetcher.submit({ action: "export_exclusions" }, { method: "post" });
+  };
+
+  const searchTerm = exclusionSearch.trim().toLowerCase();
+  const filteredExclusions = exclusions.filter((exclusion) =>
+    (!reasonFilter || exclusion.reason === reasonFilter) &&
+    (!searchTerm || exclusion.name.toLowerCase().includes(searchTerm) || exclusion.variantId.includes(searchTerm))
+  );
+  const exclusionPages = Math.max(1, Math.ceil(filteredExclusions.length / EXCLUSIONS_PER_PAGE));
+  const exclusionStart = (exclusionPage - 1) * EXCLUSIONS_PER_PAGE;
+  const visibleExclusions = filteredExclusions.slice(exclusionStart, exclusionStart + EXCLUSIONS_PER_PAGE);
+  const offerTerm = offerSearch.trim().toLowerCase();
+  const offerCategories = [...new Set(offers.map((offer) => offer.category).filter(Boolean))].sort();
+  const filteredOffers = offers.filter((offer) =>
+    (!offerCategory || offer.category === offerCategory) &&
+    (!offerAvailability || String(offer.available) === offerAvailability) &&
+    (!offerTerm || offer.name.toLowerCase().includes(offerTerm) || offer.id.includes(offerTerm) || offer.consist.toLowerCase().includes(offerTerm))
+  );
+  const offerPages = Math.max(1, Math.ceil(filteredOffers.length / OFFERS_PER_PAGE));
+  const offerStart = (offerPage - 1) * OFFERS_PER_PAGE;
+  const visibleOffers = filteredOffers.slice(offerStart, offerStart + OFFERS_PER_PAGE);
+  const enabledMarkets = markets.filter((market) => market.enabled);
+  const selectedMarket = enabledMarkets.find((market) => market.handle === selectedMarketHandle) || enabledMarkets[0];
+  const visibleChanges = (latestDiff?.changes || []).filter((change) => !diffFilter || change.type === diffFilter);
   
   return (
     <s-page heading="Product Feed Export">
-      <s-section heading="Flowwow and Udora XML Catalog">
+      <s-section heading="Marketplace Feeds">
         <s-paragraph>
-          This feature automatically generates a product feed compliant with the Flowwow and Udora specifications. The feed is cached and runs automatically every 4 hours.
+          This feature automatically generates product feeds compliant with the Flowwow and Udora specifications, plus a Google Merchant Center RSS feed and a Meta catalog CSV from the same offers. The feeds are cached and run automatically every 4 hours.
         </s-paragraph>
         
-        <s-box padding="base" borderWidth="base" borderRadius="base" background="subdued" style={{ marginTop: "16px" }}>
-          <s-stack direction="block" gap="tight">
-            <s-text size="bold">XML Feed Public URL</s-text>
-            <s-stack direction="inline" gap="base" align="center" style={{ marginTop: "8px" }}>
-              <s-text style={{ fontFamily: "monospace", wordBreak: "break-all" }}>{feedUrl}</s-text>
-              <s-button size="small" onClick={handleCopy}>
-                {copied ? "Copied" : "Copy Link"}
-              </s-button>
+        {feedUrls.map(({ target, label, format, url }) => (
+          <s-box key={target} padding="base" borderWidth="base" borderRadius="base" background="subdued" style={{ marginTop: "16px" }}>
+            <s-stack direction="block" gap="tight">
+              <s-stack direction="inline" gap="tight" align="center">
+                <s-text size="bold">{label} {format} Feed Public URL</s-text>
+                {accessByFeed[target]?.requireToken && <s-badge variant="info">Token required</s-badge>}
+              </s-stack>
+              <s-text size="small" color="subdued">
+                Last fetched: {accessByFeed[target]?.lastFetchedAt || "Never"}
+              </s-text>
+              <s-stack direction="inline" gap="base" align="center" style={{ marginTop: "8px" }}>
+                <s-text style={{ fontFamily: "monospace", wordBreak: "break-all" }}>{url}</s-text>
+                <s-button size="small" onClick={() => handleCopy(target, url)}>
+                  {copied === target ? "Copied" : "Copy Link"}
+                </s-button>
+              </s-stack>
             </s-stack>
-          </s-stack>
-        </s-box>
+          </s-box>
+        ))}
+
+        <s-paragraph color="subdued" size="small" style={{ marginTop: "8px" }}>
+          Marketplace categories for each feed are set on the <s-link href="/app/feed-categories">Feed Categories</s-link> page.
+        </s-paragraph>
         
         <s-stack direction="block" gap="tight" style={{ marginTop: "24px" }}>
           <s-text>Last generation: {lastUpdated}</s-text>
+          <s-text>Next scheduled run: {nextRunAt || "Scheduler not running"}</s-text>
           <s-paragraph color="subdued" size="small">
-            You can trigger a manual generation below. This processes in the background to avoid timeouts.
+            You can trigger a manual generation below. It runs in the background and its progress is shown here; only one generation runs at a time.
           </s-paragraph>
           <s-stack direction="inline" gap="base" style={{ marginTop: "12px" }}>
-            <s-button variant="primary" onClick={handleGenerate} disabled={generating}>
-              {generating ? "Starting Sync..." : "Sync Feed Now"}
+            <s-button variant="primary" onClick={handleGenerate} disabled={syncRunning || fetcher.state !== "idle"}>
+              {fetcher.state !== "idle" ? "Starting Sync..." : syncRunning ? "Sync Running..." : "Sync Feed Now"}
             </s-button>
-            <s-button onClick={handleDownload} disabled={lastUpdated === "Not generated yet"}>
+            <s-button onClick={() => handleDownload("flowwow")} disabled={lastUpdated === "Not generated yet"}>
               Download XML
             </s-button>
+            <s-button onClick={() => handleDownload("meta")} disabled={lastUpdated === "Not generated yet"}>
+              Download Meta CSV
+            </s-button>
+          </s-stack>
+          {syncRunning && (
+            <s-banner status="info">
+              <s-stack direction="block" gap="tight">
+                <s-text size="bold">{FEED_RUN_STAGES[syncProgress.stage] || FEED_RUN_STAGES.STARTING}...</s-text>
+                {syncProgress.pagesFetched !== undefined && (
+                  <s-text size="small">Pages fetched: {syncProgress.pagesFetched}</s-text>
+                )}
+                {syncProgress.objectsFetched !== undefined && (
+                  <s-text size="small">Bulk export objects: {syncProgress.objectsFetched}</s-text>
+                )}
+                {syncProgress.variantsFetched !== undefined && (
+                  <s-text size="small">Variants fetched: {syncProgress.variantsFetched}</s-text>
+                )}
+                {syncProgress.marketsTotal !== undefined && syncProgress.stage === "PRICING" && (
+                  <s-text size="small">
+                    Markets priced: {syncProgress.marketsPriced} of {syncProgress.marketsTotal}, variants priced in the current market: {syncProgress.marketVariantsPriced || 0}
+                  </s-text>
+                )}
+                {syncProgress.variantsTotal !== undefined && (
+                  <s-text size="small">
+                    Variants processed: {syncProgress.variantsProcessed || 0} of {syncProgress.variantsTotal}, feeds built: {syncProgress.feedsBuilt || 0} of {syncProgress.feedsTotal}
+                  </s-text>
+                )}
+                {latestRun?.status === "RUNNING" && (
+                  <s-text size="small" color="subdued">Started {latestRun.startedAt}</s-text>
+                )}
+              </s-stack>
+            </s-banner>
+          )}
+          {latestRun?.status === "FAILED" && (
+            <s-banner status="critical">
+              The last sync ({latestRun.startedAt}) failed: {latestRun.errorMessage || "Unknown error"}
+            </s-banner>
+          )}
+          {fetcher.data?.error && (
+            <s-banner status="critical">{fetcher.data.error}</s-banner>
+          )}
+          {downloadFetcher.data?.error && (
+            <s-banner status="critical">{downloadFetcher.data.error}</s-banner>
+          )}
+        </s-stack>
+      </s-section>
+
+      <s-section heading="Market Feeds">
+        <s-paragraph color="subdued">
+          Each enabled Shopify market gets every feed again, priced for its country in its currency and linking to its storefront. Markets are refreshed on each full sync; new markets start disabled.
+        </s-paragraph>
+        {marketFetcher.data?.error && (
+          <s-banner status="critical">{marketFetcher.data.error}</s-banner>
+        )}
+        {marketFetcher.data?.success && (
+          <s-banner status="success">{marketFetcher.data.message}</s-banner>
+        )}
+        {markets.length === 0 ? (
+          <s-paragraph color="subdued">No active markets found yet. Run a sync to load them from Shopify.</s-paragraph>
+        ) : (
+          <s-stack direction="block" gap="base">
+            <s-table>
+              <s-table-head>
+                <s-table-row>
+                  <s-table-cell>Market</s-table-cell>
+                  <s-table-cell>Country</s-table-cell>
+                  <s-table-cell>Currency</s-table-cell>
+                  <s-table-cell>Storefront</s-table-cell>
+                  <s-table-cell>Prices Fetched</s-table-cell>
+                  <s-table-cell>Feed</s-table-cell>
+                  <s-table-cell>Actions</s-table-cell>
+                </s-table-row>
+              </s-table-head>
+              <s-table-body>
+                {markets.map((market) => (
+                  <s-table-row key={market.id}>
+                    <s-table-cell>
+                      <s-stack direction="block" gap="none">
+                        <s-text>{market.name}</s-text>
+                        <s-text size="small" color="subdued">{market.handle}</s-text>
+                      </s-stack>
+                    </s-table-cell>
+                    <s-table-cell>{market.countryCode}</s-table-cell>
+                    <s-table-cell>{market.currencyCode}</s-table-cell>
+                    <s-table-cell>{market.url}</s-table-cell>
+                    <s-table-cell>{market.pricesUpdatedAt || "Not yet"}</s-table-cell>
+                    <s-table-cell>
+                      {market.enabled ? <s-badge variant="success">Enabled</s-badge> : <s-badge>Disabled</s-badge>}
+                    </s-table-cell>
+                    <s-table-cell>
+                      <s-button
+                        size="small"
+                        variant="secondary"
+                        onClick={() => handleToggleMarket(market)}
+                        disabled={marketFetcher.state !== "idle"}
+                      >
+                        {market.enabled ? "Disable" : "Enable"}
+                      </s-button>
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+
+            {selectedMarket && (
+              <s-stack direction="block" gap="tight">
+                <s-select label="Market feed URLs" value={selectedMarket.handle} onChange={(e) => setSelectedMarketHandle(e.target.value)}>
+                  {markets.filter((market) => market.enabled).map((market) => (
+                    <s-option key={market.handle} value={market.handle}>{market.name} ({market.currencyCode})</s-option>
+                  ))}
+                </s-select>
+                {selectedMarket.feedUrls.map(({ target, label, format, url }) => (
+                  <s-stack key={target} direction="inline" gap="base" align="center">
+                    <s-text size="bold">{label} {format}</s-text>
+                    <s-text style={{ fontFamily: "monospace", wordBreak: "break-all" }}>{url}</s-text>
+                    <s-button size="small" onClick={() => handleCopy(`${selectedMarket.handle}:${target}`, url)}>
+                      {copied === `${selectedMarket.handle}:${target}` ? "Copied" : "Copy Link"}
+                    </s-button>
+                  </s-stack>
+                ))}
+                <s-paragraph color="subdued" size="small">
+                  Market feeds use the access rules and tokens of their feed. Price overrides are left out, as they are in the shop currency.
+                </s-paragraph>
+              </s-stack>
+            )}
+          </s-stack>
+        )}
+      </s-section>
+
+      <s-section heading="Feed Access">
+        <s-paragraph color="subdued">
+          Feeds are open to anyone with the URL until a token is required. Marketplaces can send the token as <s-text style={{ fontFamily: "monospace" }}>?token=...</s-text> or as the Basic auth password with any user name.
+        </s-paragraph>
+        {accessFetcher.data?.error && (
+          <s-banner status="critical">{accessFetcher.data.error}</s-banner>
+        )}
+        {accessFetcher.data?.success && (
+          <s-banner status="success">
+            {accessFetcher.data.message}
+            {accessFetcher.data.token && (
+              <s-stack direction="block" gap="tight">
+                <s-text style={{ fontFamily: "monospace", wordBreak: "break-all" }}>
+                  {feedUrls.find((feed) => feed.target === accessFetcher.data.feed)?.url}?token={accessFetcher.data.token}
+                </s-text>
+                <s-text size="small">Token: <s-text style={{ fontFamily: "monospace" }}>{accessFetcher.data.token}</s-text></s-text>
+              </s-stack>
+            )}
+          </s-banner>
+        )}
+        <s-stack direction="block" gap="base">
+          <s-select label="Feed" value={accessFeed} onChange={(e) => handleAccessFeedChange(e.target.value)}>
+            {feedAccess.map((access) => (
+              <s-option key={access.feed} value={access.feed}>{access.label}</s-option>
+            ))}
+          </s-select>
+          <s-select
+            label="Access"
+            value={accessForm.requireToken}
+            onChange={(e) => setAccessForm((form) => ({ ...form, requireToken: e.target.value }))}
+          >
+            <s-option value="false">Open to anyone with the URL</s-option>
+            <s-option value="true">Token required</s-option>
+          </s-select>
+          <s-text-area
+            label="IP allowlist"
+            value={accessForm.ipAllowlist}
+            rows={3}
+            onChange={(e) => setAccessForm((form) => ({ ...form, ipAllowlist: e.target.value }))}
+            details="One address or IPv4 range (203.0.113.0/24) per line. Leave empty to accept any address"
+          />
+          <s-stack direction="inline" gap="base">
+            <s-button onClick={handleSaveAccess} loading={accessFetcher.state !== "idle"}>
+              Save Access Rules
+            </s-button>
+          </s-stack>
+
+          <s-text size="bold">Access Tokens</s-text>
+          {selectedAccess.tokens.length === 0 ? (
+            <s-paragraph color="subdued">No active tokens for this feed.</s-paragraph>
+          ) : (
+            <s-table>
+              <s-table-head>
+                <s-table-row>
+                  <s-table-cell>Label</s-table-cell>
+                  <s-table-cell>Token</s-table-cell>
+                  <s-table-cell>Created</s-table-cell>
+                  <s-table-cell>Last Used</s-table-cell>
+                  <s-table-cell>Actions</s-table-cell>
+                </s-table-row>
+              </s-table-head>
+              <s-table-body>
+                {selectedAccess.tokens.map((token) => (
+                  <s-table-row key={token.id}>
+                    <s-table-cell>{token.label}</s-table-cell>
+                    <s-table-cell>…{token.tokenHint}</s-table-cell>
+                    <s-table-cell>{token.createdAt}</s-table-cell>
+                    <s-table-cell>{token.lastUsedAt || "Never"}</s-table-cell>
+                    <s-table-cell>
+                      <s-button
+                        size="small"
+                        variant="secondary"
+                        onClick={() => handleRevokeToken(token)}
+                        disabled={accessFetcher.state !== "idle"}
+                      >
+                        Revoke
+                      </s-button>
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+          )}
+          <s-stack direction="inline" gap="base">
+            <s-text-field
+              label="New token label"
+              placeholder="Flowwow import"
+              value={tokenLabel}
+              onChange={(e) => setTokenLabel(e.target.value)}
+            />
+            <s-button onClick={handleCreateToken} loading={accessFetcher.state !== "idle"}>
+              Create Token
+            </s-button>
+          </s-stack>
+
+          <s-text size="bold">Recent Fetches</s-text>
+          {recentFetches.length === 0 ? (
+            <s-paragraph color="subdued">No feed fetches recorded yet.</s-paragraph>
+          ) : (
+            <s-table>
+              <s-table-head>
+                <s-table-row>
+                  <s-table-cell>Time</s-table-cell>
+                  <s-table-cell>Feed</s-table-cell>
+                  <s-table-cell>IP</s-table-cell>
+                  <s-table-cell>User Agent</s-table-cell>
+                  <s-table-cell>Token</s-table-cell>
+                  <s-table-cell>Status</s-table-cell>
+                </s-table-row>
+              </s-table-head>
+              <s-table-body>
+                {recentFetches.map((fetchLog) => (
+                  <s-table-row key={fetchLog.id}>
+                    <s-table-cell>{fetchLog.createdAt}</s-table-cell>
+                    <s-table-cell>{fetchLog.feed}</s-table-cell>
+                    <s-table-cell>{fetchLog.ip}</s-table-cell>
+                    <s-table-cell>
+                      <s-text size="small">{fetchLog.userAgent || "-"}</s-text>
+                    </s-table-cell>
+                    <s-table-cell>{fetchLog.tokenLabel || "-"}</s-table-cell>
+                    <s-table-cell>
+                      <s-badge variant={fetchLog.status < 400 ? "success" : "critical"}>{fetchLog.status}</s-badge>
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+          )}
+        </s-stack>
+      </s-section>
+
+      <s-section heading="Recent Runs">
+        {recentRuns.length === 0 ? (
+          <s-paragraph color="subdued">No feed runs recorded yet.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-head>
+              <s-table-row>
+                <s-table-cell>Started</s-table-cell>
+                <s-table-cell>Finished</s-table-cell>
+                <s-table-cell>Trigger</s-table-cell>
+                <s-table-cell>Status</s-table-cell>
+                <s-table-cell>Offers</s-table-cell>
+                <s-table-cell>Skipped</s-table-cell>
+                <s-table-cell>Changes</s-table-cell>
+                <s-table-cell>Error</s-table-cell>
+              </s-table-row>
+            </s-table-head>
+            <s-table-body>
+              {recentRuns.map((feedRun) => (
+                <s-table-row key={feedRun.id}>
+                  <s-table-cell>{feedRun.startedAt}</s-table-cell>
+                  <s-table-cell>{feedRun.finishedAt || "-"}</s-table-cell>
+                  <s-table-cell>{feedRun.trigger}</s-table-cell>
+                  <s-table-cell>
+                    <s-badge variant={
+                      feedRun.status === "SUCCEEDED" ? "success" :
+                      feedRun.status === "FAILED" ? "critical" :
+                      "attention"
+                    }>
+                      {feedRun.status}
+                    </s-badge>
+                  </s-table-cell>
+                  <s-table-cell>{feedRun.offerCount ?? "-"}</s-table-cell>
+                  <s-table-cell>{feedRun.skippedCount ?? "-"}</s-table-cell>
+                  <s-table-cell>{feedRun.changeCount ?? "-"}</s-table-cell>
+                  <s-table-cell>
+                    {feedRun.errorMessage ? (
+                      <s-text size="small" color="critical">{feedRun.errorMessage}</s-text>
+                    ) : (
+                      <s-text size="small" color="subdued">-</s-text>
+                    )}
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading={`Feed Versions (${versions.length})`}>
+        <s-paragraph color="subdued">
+          Every sync is kept as a version. The feed URLs serve the live version, and a pinned version stays live until it is unpinned.
+        </s-paragraph>
+        {versionFetcher.data?.error && (
+          <s-banner status="critical">{versionFetcher.data.error}</s-banner>
+        )}
+        {versionFetcher.data?.success && (
+          <s-banner status="success">{versionFetcher.data.message}</s-banner>
+        )}
+        {versions.length === 0 ? (
+          <s-paragraph color="subdued">No feed versions yet.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-head>
+              <s-table-row>
+                <s-table-cell>Generated</s-table-cell>
+                <s-table-cell>Offers</s-table-cell>
+                <s-table-cell>Status</s-table-cell>
+                <s-table-cell>Published</s-table-cell>
+                <s-table-cell>Actions</s-table-cell>
+              </s-table-row>
+            </s-table-head>
+            <s-table-body>
+              {versions.map((version) => (
+                <s-table-row key={version.id}>
+                  <s-table-cell>{version.createdAt}</s-table-cell>
+                  <s-table-cell>{version.offerCount}</s-table-cell>
+                  <s-table-cell>
+                    <s-stack direction="inline" gap="tight">
+                      {version.live && <s-badge variant="success">Live</s-badge>}
+                      {version.pinned && <s-badge variant="info">Pinned</s-badge>}
+                      {!version.live && version.heldReason && <s-badge variant="attention">Held</s-badge>}
+                    </s-stack>
+                    {!version.live && version.heldReason && (
+                      <s-text size="small" color="subdued">{version.heldReason}</s-text>
+                    )}
+                  </s-table-cell>
+                  <s-table-cell>{version.publishedAt || "-"}</s-table-cell>
+                  <s-table-cell>
+                    {version.live ? (
+                      <s-button
+                        size="small"
+                        variant="secondary"
+                        onClick={() => (version.pinned ? handleUnpinVersion() : handlePublishVersion(version, true))}
+                        disabled={versionFetcher.state !== "idle"}
+                      >
+                        {version.pinned ? "Unpin" : "Pin"}
+                      </s-button>
+                    ) : (
+                      <s-button
+                        size="small"
+                        variant="secondary"
+                        onClick={() => handlePublishVersion(version, !version.newerThanLive)}
+                        disabled={versionFetcher.state !== "idle"}
+                      >
+                        {version.newerThanLive ? "Publish" : "Roll Back"}
+                      </s-button>
+                    )}
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading="Changes Since Previous Run">
+        {!latestDiff ? (
+          <s-paragraph color="subdued">
+            No comparison yet. Each run is compared with the previous one once two runs have completed.
+          </s-paragraph>
+        ) : (
+          <s-stack direction="block" gap="base">
+            <s-paragraph color="subdued">
+              Run started {latestDiff.startedAt}, compared with the feed before it by offer ID.
+            </s-paragraph>
+            <s-stack direction="inline" gap="tight">
+              {Object.entries(DIFF_CHANGE_TYPES).map(([type, label]) => (
+                <s-badge key={type} variant={latestDiff.counts[type] > 0 ? "info" : undefined}>
+                  {label}: {latestDiff.counts[type]}
+                </s-badge>
+              ))}
+            </s-stack>
+            {latestDiff.changes.length === 0 ? (
+              <s-paragraph color="subdued">The feed did not change.</s-paragraph>
+            ) : (
+              <>
+                <s-select
+                  label="Change"
+                  value={diffFilter}
+                  onChange={(e) => setDiffFilter(e.target.value)}
+                >
+                  <s-option value="">All changes</s-option>
+                  {Object.entries(DIFF_CHANGE_TYPES).map(([type, label]) => (
+                    <s-option key={type} value={type}>{label}</s-option>
+                  ))}
+                </s-select>
+                <s-table>
+                  <s-table-head>
+                    <s-table-row>
+                      <s-table-cell>Change</s-table-cell>
+                      <s-table-cell>Offer</s-table-cell>
+                      <s-table-cell>Offer ID</s-table-cell>
+                      <s-table-cell>Before</s-table-cell>
+                      <s-table-cell>After</s-table-cell>
+                    </s-table-row>
+                  </s-table-head>
+                  <s-table-body>
+                    {visibleChanges.map((change) => (
+                      <s-table-row key={`${change.type}:${change.id}`}>
+                        <s-table-cell>
+                          <s-badge variant={change.type === "removed" ? "critical" : change.type === "added" ? "success" : "attention"}>
+                            {DIFF_CHANGE_TYPES[change.type]}
+                          </s-badge>
+                        </s-table-cell>
+                        <s-table-cell>{change.name}</s-table-cell>
+                        <s-table-cell>{change.id}</s-table-cell>
+                        <s-table-cell>{change.before || "-"}</s-table-cell>
+                        <s-table-cell>{change.after || "-"}</s-table-cell>
+                      </s-table-row>
+                    ))}
+                  </s-table-body>
+                </s-table>
+                {Object.entries(latestDiff.counts).some(([type, count]) => count > latestDiff.changes.filter((change) => change.type === type).length) && (
+                  <s-paragraph color="subdued">
+                    Long lists are cut to the first {DIFF_LIST_LIMIT} offers of each change type.
+                  </s-paragraph>
+                )}
+              </>
+            )}
+          </s-stack>
+        )}
+      </s-section>
+
+      <s-section heading={`Offer Preview (${offers.length})`}>
+        <s-paragraph color="subdued">
+          Offers in the latest generated feed, with the Flowwow categories. Composition counts marked + are estimates.
+        </s-paragraph>
+        {offers.length === 0 ? (
+          <s-paragraph color="subdued">No offers yet. Run a sync to generate the feed.</s-paragraph>
+        ) : (
+          <s-stack direction="block" gap="base">
+            <s-stack direction="inline" gap="base">
+              <s-search-field
+                label="Search"
+                placeholder="Name, offer ID or ingredient"
+                value={offerSearch}
+                onInput={(e) => {
+                  setOfferSearch(e.target.value);
+                  setOfferPage(1);
+                }}
+              />
+              <s-select
+                label="Category"
+                value={offerCategory}
+                onChange={(e) => {
+                  setOfferCategory(e.target.value);
+                  setOfferPage(1);
+                }}
+              >
+                <s-option value="">All categories</s-option>
+                {offerCategories.map((category) => (
+                  <s-option key={category} value={category}>{category}</s-option>
+                ))}
+              </s-select>
+              <s-select
+                label="Availability"
+                value={offerAvailability}
+                onChange={(e) => {
+                  setOfferAvailability(e.target.value);
+                  setOfferPage(1);
+                }}
+              >
+                <s-option value="">All offers</s-option>
+                <s-option value="true">Available</s-option>
+                <s-option value="false">Unavailable</s-option>
+              </s-select>
+            </s-stack>
+            {filteredOffers.length === 0 ? (
+              <s-paragraph color="subdued">No offers match these filters.</s-paragraph>
+            ) : (
+              <s-table>
+                <s-table-head>
+                  <s-table-row>
+                    <s-table-cell>Picture</s-table-cell>
+                    <s-table-cell>Offer</s-table-cell>
+                    <s-table-cell>Price</s-table-cell>
+                    <s-table-cell>Old Price</s-table-cell>
+                    <s-table-cell>Category</s-table-cell>
+                    <s-table-cell>Availability</s-table-cell>
+                    <s-table-cell>Composition</s-table-cell>
+                  </s-table-row>
+                </s-table-head>
+                <s-table-body>
+                  {visibleOffers.map((offer) => (
+                    <s-table-row key={offer.id}>
+                      <s-table-cell>
+                        {offer.thumbnail ? <s-thumbnail src={offer.thumbnail} alt={offer.name} size="small" /> : "-"}
+                      </s-table-cell>
+                      <s-table-cell>
+                        <s-stack direction="block" gap="none">
+                          {offer.productId ? (
+                            <s-link href={`shopify://admin/products/${offer.productId}/variants/${offer.id}`} target="_blank">
+                              {offer.name}
+                            </s-link>
+                          ) : (
+                            offer.name
+                          )}
+                          <s-text size="small" color="subdued">{offer.id}</s-text>
+                          {offer.overriddenFields.length > 0 && (
+                            <s-stack direction="inline" gap="tight">
+                              {offer.overriddenFields.map((field) => (
+                                <s-badge key={field} variant="info">{OVERRIDE_FIELDS[field] || field} overridden</s-badge>
+                              ))}
+                            </s-stack>
+                          )}
+                        </s-stack>
+                      </s-table-cell>
+                      <s-table-cell>{offer.price}</s-table-cell>
+                      <s-table-cell>{offer.oldPrice ?? "-"}</s-table-cell>
+                      <s-table-cell>{offer.category || "-"}</s-table-cell>
+                      <s-table-cell>
+                        <s-badge variant={offer.available ? "success" : "critical"}>
+                          {offer.available ? "Available" : "Unavailable"}
+                        </s-badge>
+                      </s-table-cell>
+                      <s-table-cell>
+                        <s-text size="small">{offer.consist || "-"}</s-text>
+                      </s-table-cell>
+                    </s-table-row>
+                  ))}
+                </s-table-body>
+              </s-table>
+            )}
+            {offerPages > 1 && (
+              <s-stack direction="inline" gap="tight" style={{ justifyContent: "center" }}>
+                <s-button
+                  onClick={() => setOfferPage((p) => Math.max(1, p - 1))}
+                  variant="secondary"
+                  size="small"
+                  disabled={offerPage === 1}
+                >
+                  Previous
+                </s-button>
+                <s-text size="small">Page {offerPage} of {offerPages}</s-text>
+                <s-button
+                  onClick={() => setOfferPage((p) => Math.min(offerPages, p + 1))}
+                  variant="secondary"
+                  size="small"
+                  disabled={offerPage === offerPages}
+                >
+                  Next
+                </s-button>
+              </s-stack>
+            )}
+          </s-stack>
+        )}
+      </s-section>
+
+      <s-section heading={`Excluded Variants (${exclusions.length})`}>
+        <s-paragraph color="subdued">
+          Variants left out of the latest feed run, with the reason each one was dropped.
+        </s-paragraph>
+        {exclusions.length === 0 ? (
+          <s-paragraph color="subdued">No variants were excluded from the latest run.</s-paragraph>
+        ) : (
+          <s-stack direction="block" gap="base">
+            <s-stack direction="inline" gap="base">
+              <s-select
+                label="Reason"
+                value={reasonFilter}
+                onChange={(e) => {
+                  setReasonFilter(e.target.value);
+                  setExclusionPage(1);
+                }}
+              >
+                <s-option value="">All reasons</s-option>
+                {Object.entries(EXCLUSION_REASONS).map(([code, label]) => (
+                  <s-option key={code} value={code}>{label}</s-option>
+                ))}
+              </s-select>
+              <s-search-field
+                label="Search"
+                placeholder="Name or variant ID"
+                value={exclusionSearch}
+                onInput={(e) => {
+                  setExclusionSearch(e.target.value);
+                  setExclusionPage(1);
+                }}
+              />
+              <s-button onClick={handleExportExclusions} loading={exportFetcher.state !== "idle"}>
+                Download CSV
+              </s-button>
+            </s-stack>
+            <s-table>
+              <s-table-head>
+                <s-table-row>
+                  <s-table-cell>Variant</s-table-cell>
+                  <s-table-cell>Variant ID</s-table-cell>
+                  <s-table-cell>Reason</s-table-cell>
+                  <s-table-cell>Feeds</s-table-cell>
+                </s-table-row>
+              </s-table-head>
+              <s-table-body>
+                {visibleExclusions.map((exclusion) => (
+                  <s-table-row key={exclusion.id}>
+                    <s-table-cell>
+                      {exclusion.productId ? (
+                        <s-link href={`shopify://admin/products/${exclusion.productId}`} target="_blank">
+                          {exclusion.name || "(untitled)"}
+                        </s-link>
+                      ) : (
+                        exclusion.name || "(untitled)"
+                      )}
+                    </s-table-cell>
+                    <s-table-cell>{exclusion.variantId || "-"}</s-table-cell>
+                    <s-table-cell>
+                      <s-badge variant="attention">
+                        {EXCLUSION_REASONS[exclusion.reason] || exclusion.reason}
+                      </s-badge>
+                    </s-table-cell>
+                    <s-table-cell>
+                      {exclusion.feeds.length > 0
+                        ? exclusion.feeds.map((feed) => getFeedDefinition(feed)?.label || feed).join(", ")
+                        : "-"}
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+            {exclusionPages > 1 && (
+              <s-stack direction="inline" gap="tight" style={{ justifyContent: "center" }}>
+                <s-button
+                  onClick={() => setExclusionPage((p) => Math.max(1, p - 1))}
+                  variant="secondary"
+                  size="small"
+                  disabled={exclusionPage === 1}
+                >
+                  Previous
+                </s-button>
+                <s-text size="small">Page {exclusionPage} of {exclusionPages}</s-text>
+                <s-button
+                  onClick={() => setExclusionPage((p) => Math.min(exclusionPages, p + 1))}
+                  variant="secondary"
+                  size="small"
+                  disabled={exclusionPage === exclusionPages}
+                >
+                  Next
+                </s-button>
+              </s-stack>
+            )}
+          </s-stack>
+        )}
+      </s-section>
+
+      <s-section heading={`Feed Overrides (${overrides.length})`}>
+        <s-paragraph color="subdued">
+          Replace what a marketplace sees for a single variant. Empty fields keep the Shopify value. Compositions are written like the composition metafield, e.g. &quot;5 Rose | 3 Eucalyptus&quot;.
+        </s-paragraph>
+
+        {overrideFetcher.data?.error && (
+          <s-banner status="critical">{overrideFetcher.data.error}</s-banner>
+        )}
+        {overrideFetcher.data?.success && (
+          <s-banner status="success">{overrideFetcher.data.message}</s-banner>
+        )}
+
+        <s-stack direction="block" gap="base">
+          <s-text-field
+            label="Variant ID"
+            value={overrideForm.variantId}
+            onChange={(e) => setOverrideField("variantId", e.target.value)}
+            details="The offer ID in the feed, or the variant GID"
+          />
+          <s-text-field
+            label={OVERRIDE_FIELDS.name}
+            value={overrideForm.name}
+            onChange={(e) => setOverrideField("name", e.target.value)}
+          />
+          <s-text-area
+            label={OVERRIDE_FIELDS.description}
+            value={overrideForm.description}
+            rows={3}
+            onChange={(e) => setOverrideField("description", e.target.value)}
+          />
+          <s-stack direction="inline" gap="base">
+            <s-text-field
+              label={`${OVERRIDE_FIELDS.picture} URL`}
+              value={overrideForm.picture}
+              onChange={(e) => setOverrideField("picture", e.target.value)}
+            />
+            <s-number-field
+              label={OVERRIDE_FIELDS.price}
+              value={overrideForm.price}
+              min={1}
+              onChange={(e) => setOverrideField("price", e.target.value)}
+            />
+          </s-stack>
+          <s-text-field
+            label={OVERRIDE_FIELDS.composition}
+            value={overrideForm.composition}
+            onChange={(e) => setOverrideField("composition", e.target.value)}
+          />
+          <s-stack direction="inline" gap="base">
+            <s-button
+              variant="primary"
+              onClick={handleSaveOverride}
+              loading={overrideFetcher.state !== "idle"}
+              disabled={!overrideForm.variantId}
+            >
+              Save Override
+            </s-button>
+          </s-stack>
+        </s-stack>
+
+        {overrides.length > 0 && (
+          <s-table style={{ marginTop: "16px" }}>
+            <s-table-head>
+              <s-table-row>
+                <s-table-cell>Variant ID</s-table-cell>
+                {Object.values(OVERRIDE_FIELDS).map((label) => (
+                  <s-table-cell key={label}>{label}</s-table-cell>
+                ))}
+                <s-table-cell>Actions</s-table-cell>
+              </s-table-row>
+            </s-table-head>
+            <s-table-body>
+              {overrides.map((override) => {
+                const overriddenFields = getOverriddenFields(override);
+                return (
+                  <s-table-row key={override.id}>
+                    <s-table-cell>{override.variantId}</s-table-cell>
+                    {Object.keys(OVERRIDE_FIELDS).map((field) => (
+                      <s-table-cell key={field}>
+                        {overriddenFields.includes(field) ? (
+                          <s-stack direction="block" gap="tight">
+                            <s-text>{String(override[field])}</s-text>
+                            <s-badge variant="info">Overridden</s-badge>
+                          </s-stack>
+                        ) : (
+                          <s-text color="subdued">
+                            {override.shopify ? String(override.shopify[field] || "-") : "Not in cache"}
+                          </s-text>
+                        )}
+                      </s-table-cell>
+                    ))}
+                    <s-table-cell>
+                      <s-stack direction="inline" gap="tight">
+                        <s-button variant="secondary" size="small" onClick={() => handleEditOverride(override)}>
+                          Edit
+                        </s-button>
+                        <s-button
+                          variant="secondary"
+                          size="small"
+                          onClick={() => handleDeleteOverride(override.id)}
+                          disabled={overrideFetcher.state !== "idle"}
+                        >
+                          Delete
+                        </s-button>
+                      </s-stack>
+                    </s-table-cell>
+                  </s-table-row>
+                );
+              })}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading="Stem Counts">
+        <s-paragraph color="subdued">
+          Each composition ingredient takes its stem count from the offer name first, then the description, then the imported counts below. Ingredients with no count are sent as an &quot;at least&quot; estimate until the vision counter has looked at the offer picture.
+        </s-paragraph>
+
+        {stemCountFetcher.data?.error && (
+          <s-banner status="critical">{stemCountFetcher.data.error}</s-banner>
+        )}
+        {stemCountFetcher.data?.success && (
+          <s-banner status="success">{stemCountFetcher.data.message}</s-banner>
+        )}
+
+        <s-stack direction="block" gap="base">
+          <s-text>
+            Offer counts: {stemCounts.CSV ? `${stemCounts.CSV.count} (imported ${stemCounts.CSV.updatedAt})` : "none imported"}
+          </s-text>
+          <s-text>
+            Picture counts: {stemCounts.VISION ? `${stemCounts.VISION.count} (imported ${stemCounts.VISION.updatedAt})` : "none imported"}
+          </s-text>
+          <s-form-field label="Stem count CSV (stem_counts.csv)">
+            <input
+              type="file"
+              accept=".csv"
+              onChange={handleStemCountFileChange("stemCountCsv")}
+              style={{
+                padding: "8px",
+                border: "1px solid #ccc",
+                borderRadius: "4px",
+                width: "100%"
+              }}
+            />
+          </s-form-field>
+          <s-form-field label="Vision progress file (stem_count_progress.json)">
+            <input
+              type="file"
+              accept=".json"
+              onChange={handleStemCountFileChange("visionProgress")}
+              style={{
+                padding: "8px",
+                border: "1px solid #ccc",
+                borderRadius: "4px",
+                width: "100%"
+              }}
+            />
+          </s-form-field>
+          {stemCountJob && (
+            <s-stack direction="block" gap="tight">
+              <s-stack direction="inline" gap="tight">
+                <s-text>Vision counting ({stemCountJob.provider}) started {stemCountJob.startedAt}:</s-text>
+                <s-badge variant={
+                  stemCountJob.status === "SUCCEEDED" ? "success" :
+                  stemCountJob.status === "FAILED" ? "critical" :
+                  "attention"
+                }>
+                  {stemCountJob.status}
+                </s-badge>
+              </s-stack>
+              <s-text size="small" color="subdued">
+                {stemCountJob.counted} of {stemCountJob.total ?? "?"} pictures counted, {stemCountJob.failed.length} failed
+                {stemCountJob.finishedAt ? `, finished ${stemCountJob.finishedAt}` : ""}
+              </s-text>
+              {stemCountJob.errorMessage && (
+                <s-text size="small" color="critical">{stemCountJob.errorMessage}</s-text>
+              )}
+              {stemCountJob.failed.slice(0, 5).map((failure) => (
+                <s-text key={failure.imageUrl} size="small" color="critical">
+                  {failure.name}: {failure.error}
+                </s-text>
+              ))}
+            </s-stack>
+          )}
+          <s-stack direction="inline" gap="base">
+            <s-button
+              onClick={handleCountStems}
+              loading={stemCountFetcher.state !== "idle"}
+              disabled={stemCountJob?.status === "RUNNING"}
+            >
+              Count Missing Stems From Pictures
+            </s-button>
+            <s-button
+              variant="primary"
+              onClick={handleImportStemCounts}
+              loading={stemCountFetcher.state !== "idle"}
+              disabled={!stemCountFiles.stemCountCsv && !stemCountFiles.visionProgress}
+            >
+              Import Stem Counts
+            </s-button>
+          </s-stack>
+        </s-stack>
+      </s-section>
+
+      <s-section heading="Feed Rules">
+        <s-paragraph color="subdued">
+          These rules decide which variants reach the feed and how they are described. Lists are comma or newline separated.
+        </s-paragraph>
+
+        {rulesFetcher.data?.error && (
+          <s-banner status="critical">{rulesFetcher.data.error}</s-banner>
+        )}
+        {rulesFetcher.data?.success && (
+          <s-banner status="success">{rulesFetcher.data.message}</s-banner>
+        )}
+
+        <s-stack direction="block" gap="base">
+          <s-number-field
+            label="Price cap"
+            value={priceCap}
+            min={1}
+            onChange={(e) => setPriceCap(e.target.value)}
+            details="Variants priced above this are left out of the feed"
+          />
+          <s-number-field
+            label="Pictures per offer"
+            value={pictureLimit}
+            min={1}
+            max={MAX_FEED_PICTURES}
+            onChange={(e) => setPictureLimit(e.target.value)}
+            details="The variant image comes first, followed by the rest of the product gallery"
+          />
+          <s-number-field
+            label="Feed versions to keep"
+            value={versionLimit}
+            min={1}
+            max={MAX_FEED_VERSIONS}
+            onChange={(e) => setVersionLimit(e.target.value)}
+            details="Kept for full syncs and, separately, for webhook rebuilds; older ones are deleted and the published version is always kept"
+          />
+          <s-number-field
+            label="Hold feeds when offers drop by more than (%)"
+            value={maxOfferDropPercent}
+            min={1}
+            max={100}
+            onChange={(e) => setMaxOfferDropPercent(e.target.value)}
+            details="Compared with the published feed. Leave blank to publish every sync"
+          />
+          <s-text-field
+            label="Default product type"
+            value={defaultProductType}
+            onChange={(e) => setDefaultProductType(e.target.value)}
+            details="Used as the category for products without a product type"
+          />
+          <s-text-area
+            label="Excluded product types"
+            value={excludedProductTypes}
+            rows={2}
+            onChange={(e) => setExcludedProductTypes(e.target.value)}
+          />
+          <s-text-area
+            label="Non-floral product type keywords"
+            value={nonFloralKeywords}
+            rows={2}
+            onChange={(e) => setNonFloralKeywords(e.target.value)}
+            details="Product types containing one of these words report stock as a quantity instead of always available"
+          />
+          <s-text-area
+            label="Floral composition names"
+            value={floralConsistNames}
+            rows={4}
+            onChange={(e) => setFloralConsistNames(e.target.value)}
+            details="A non-floral product whose composition includes one of these is still treated as floral"
+          />
+          <s-text-area
+            label="Offer params from metafields"
+            value={paramMappings}
+            rows={4}
+            onChange={(e) => setParamMappings(e.target.value)}
+            details='One per line, e.g. "weight, g = custom.weight". The variant metafield is used first, then the product metafield. Dimensions are converted to millimetres and weights to grams.'
+          />
+          <s-text-area
+            label="Param defaults by product type"
+            value={paramDefaults}
+            rows={4}
+            onChange={(e) => setParamDefaults(e.target.value)}
+            details='One per line, e.g. "Hat Box | width, mm = 300". Use * for every product type. Applied when the metafields are empty.'
+          />
+          <s-stack direction="inline" gap="base">
+            <s-button variant="primary" onClick={handleSaveRules} loading={rulesFetcher.state !== "idle"}>
+              Save Rules
+            </s-button>
           </s-stack>
         </s-stack>
       </s-section>
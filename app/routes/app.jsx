@@ -20,6 +20,7 @@ export default function App() {
         <s-link href="/app/bulk-discount">Bulk Discount</s-link>
         <s-link href="/app/bulk-customer-export">Customer Export</s-link>
         <s-link href="/app/feeds">Product Feed</s-link>
+        <s-link href="/app/feed-categories">Feed Categories</s-link>
       </s-app-nav>
       <Outlet />
     </AppProvider>
@@ -0,0 +1,29 @@
+import { authenticate } from "../shopify.server";
+import { createAdminClient, fetchInventoryItemVariant } from "../feedCatalog.server";
+import { upsertCachedVariant } from "../feedCache.server";
+import { getFeedRules } from "../feedSettings.server";
+import { scheduleRebuild } from "../feedWorker.js";
+
+export const action = async ({ request }) => {
+  const { payload, session, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (session) {
+    // The payload only carries one location's level, the feed needs the variant's total quantity
+    const graphql = createAdminClient(shop, session.accessToken);
+    const rules = await getFeedRules(shop);
+    const variant = await fetchInventoryItemVariant(
+      graphql,
+      `gid://shopify/InventoryItem/${payload.inventory_item_id}`,
+      rules.paramMappings
+    );
+
+    if (variant) {
+      await upsertCachedVariant(shop, variant);
+      scheduleRebuild(shop);
+    }
+  }
+
+  return new Response();
+};
@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { deleteCachedProduct } from "../feedCache.server";
+import { scheduleRebuild } from "../feedWorker.js";
+
+export const action = async ({ request }) => {
+  const { payload, session, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (session) {
+    await deleteCachedProduct(shop, `gid://shopify/Product/${payload.id}`);
+    scheduleRebuild(shop);
+  }
+
+  return new Response();
+};
@@ -0,0 +1,28 @@
+import { authenticate } from "../shopify.server";
+import { createAdminClient, fetchProductVariants } from "../feedCatalog.server";
+import { deleteCachedProduct, replaceProductVariants } from "../feedCache.server";
+import { getFeedRules } from "../feedSettings.server";
+import { scheduleRebuild } from "../feedWorker.js";
+
+export const action = async ({ request }) => {
+  const { payload, session, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (session) {
+    // Re-read the product rather than mapping the REST payload, which lacks the composition metafields
+    const graphql = createAdminClient(shop, session.accessToken);
+    const productId = payload.admin_graphql_api_id;
+    const rules = await getFeedRules(shop);
+    const variants = await fetchProductVariants(graphql, productId, rules.paramMappings);
+
+    if (variants) {
+      await replaceProductVariants(shop, productId, variants);
+    } else {
+      await deleteCachedProduct(shop, productId);
+    }
+    scheduleRebuild(shop);
+  }
+
+  return new Response();
+};
@@ -0,0 +1,244 @@
+import { createHash } from "crypto";
+import prisma from "./db.server.js";
+import { buildFeedOffers } from "./feedHelper.js";
+import { MAX_STEM_COUNT, STEM_COUNT_UNIT, ingredientsKey } from "./compositionHelper.js";
+import { loadCachedVariants } from "./feedCache.server.js";
+import { getFeedRules } from "./feedSettings.server.js";
+import { getFeedOverrides } from "./feedOverrides.server.js";
+import { getStoredCompositions } from "./feedCompositions.server.js";
+import { scheduleRebuild } from "./feedWorker.js";
+
+const ANTHROPIC_MODEL = process.env.STEM_COUNT_MODEL || "claude-haiku-4-5-20251001";
+const REQUEST_DELAY_MS = 1500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Models answer with a JSON object somewhere in the text; keys are matched loosely to the ingredients asked for
+export function parseVisionCounts(text, ingredients) {
+  const match = String(text || "").match(/\{[^}]+\}/);
+  if (!match) {
+    return {};
+  }
+  let raw;
+  try {
+    raw = JSON.parse(match[0]);
+  } catch (err) {
+    return {};
+  }
+
+  const counts = {};
+  for (const ingredient of ingredients) {
+    const ing = ingredient.toLowerCase();
+    const entry = Object.entries(raw).find(([key]) => {
+      const k = key.toLowerCase();
+      return k === ing || k.includes(ing) || ing.includes(k);
+    });
+    const value = entry ? Math.trunc(Number(entry[1])) : 0;
+    if (value > 0 && value <= MAX_STEM_COUNT) {
+      counts[ingredient] = value;
+    }
+  }
+  return counts;
+}
+
+function createAnthropicProvider() {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) {
+    throw new Error("ANTHROPIC_API_KEY is not set, stem counting is unavailable");
+  }
+
+  const dash = String.fromCharCode(45);
+  const apiKeyHeader = ["x", "api", "key"].join(dash);
+  const versionHeader = ["anthropic", "version"].join(dash);
+  const contentTypeHeader = ["content", "type"].join(dash);
+
+  return {
+    name: "anthropic",
+    async countStems({ imageUrl, ingredients }) {
+      const prompt = [
+        "This is a product photo of a flower arrangement or floral gift.",
+        `Count the visible stems/heads of each: ${ingredients.join(", ")}`,
+        "Include flowers that are partially hidden behind others.",
+        "Reply ONLY in JSON: {\"Rose\": 12, \"Hydrangea\": 3}",
+        "Only include the ingredients I listed. Use your best estimate."
+      ].join("\n");
+
+      const response = await fetch("https://api.anthropic.com/v1/messages", {
+        method: "POST",
+        headers: {
+          [apiKeyHeader]: apiKey,
+          [versionHeader]: "2023-06-01",
+          [contentTypeHeader]: "application/json"
+        },
+        body: JSON.stringify({
+          model: ANTHROPIC_MODEL,
+          max_tokens: 256,
+          messages: [{
+            role: "user",
+            content: [
+              { type: "image", source: { type: "url", url: imageUrl } },
+              { type: "text", text: prompt }
+            ]
+          }]
+        })
+      });
+
+      if (!response.ok) {
+        const errText = await response.text();
+        throw new Error(`Vision request failed with status ${response.status}: ${errText}`);
+      }
+      const result = await response.json();
+      const text = (result.content || []).filter((block) => block.type === "text").map((block) => block.text).join("\n");
+      return parseVisionCounts(text, ingredients);
+    }
+  };
+}
+
+// Same picture and ingredients always give the same counts, so feeds can be checked without network access
+function createMockProvider() {
+  return {
+    name: "mock",
+    async countStems({ imageUrl, ingredients }) {
+      const counts = {};
+      for (const ingredient of ingredients) {
+        const digest = createHash("sha1").update(`${imageUrl}\n${ingredient}`).digest();
+        counts[ingredient] = 3 + (digest[0] % 13);
+      }
+      return counts;
+    }
+  };
+}
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  mock: createMockProvider
+};
+
+export function getStemCountProvider(name = process.env.STEM_COUNT_PROVIDER || "anthropic") {
+  const createProvider = PROVIDERS[name];
+  if (!createProvider) {
+    throw new Error(`Unknown stem count provider "${name}", expected one of: ${Object.keys(PROVIDERS).join(", ")}`);
+  }
+  return createProvider();
+}
+
+// Picture and unresolved ingredient groups that have no cached vision result yet
+export async function findUncountedImages(shop) {
+  const variants = await loadCachedVariants(shop);
+  const rules = await getFeedRules(shop);
+  const shopInfo = {
+    url: `https://${shop}`,
+    categories: [],
+    categoriesMap: new Map(),
+    overrides: await getFeedOverrides(shop),
+    compositions: await getStoredCompositions(shop)
+  };
+  const { estimated } = buildFeedOffers(variants, shopInfo, rules);
+
+  const cached = await prisma.feedComposition.findMany({
+    where: { shop, source: "VISION" },
+    select: { imageUrl: true, ingredients: true }
+  });
+  const cachedKeys = new Set(cached.map((row) => `${row.imageUrl}\n${row.ingredients}`));
+
+  const groups = new Map();
+  for (const offer of estimated) {
+    if (!offer.picture) {
+      continue;
+    }
+    const ingredients = [...offer.ingredients].sort();
+    const key = `${offer.picture}\n${ingredientsKey(ingredients)}`;
+    if (cachedKeys.has(key) || groups.has(key)) {
+      continue;
+    }
+    groups.set(key, { imageUrl: offer.picture, ingredients, name: offer.name });
+  }
+  return Array.from(groups.values());
+}
+
+async function saveVisionCounts(shop, imageUrl, ingredients, counts) {
+  const key = { shop, offerId: "", imageUrl, ingredients: ingredientsKey(ingredients) };
+  const storedCounts = Object.fromEntries(
+    Object.entries(counts).map(([ingredient, count]) => [ingredient, { count, unit: STEM_COUNT_UNIT }])
+  );
+  await prisma.feedComposition.upsert({
+    where: { shop_offerId_imageUrl_ingredients: key },
+    create: { ...key, counts: storedCounts, source: "VISION" },
+    update: { counts: storedCounts }
+  });
+}
+
+// Results are cached as they arrive, so an interrupted job resumes where it stopped on the next trigger
+export async function countMissingStems(shop, { provider = getStemCountProvider(), limit = Infinity, onProgress } = {}) {
+  const pending = (await findUncountedImages(shop)).slice(0, limit);
+  const job = { provider: provider.name, total: pending.length, counted: 0, failed: [] };
+
+  for (const group of pending) {
+    try {
+      const counts = await provider.countStems(group);
+      await saveVisionCounts(shop, group.imageUrl, group.ingredients, counts);
+      job.counted++;
+    } catch (err) {
+      console.error(`Stem count failed for ${group.imageUrl}:`, err);
+      job.failed.push({ imageUrl: group.imageUrl, name: group.name, error: err.message });
+    }
+    onProgress?.(job);
+    if (provider.name !== "mock") {
+      await sleep(REQUEST_DELAY_MS);
+    }
+  }
+
+  if (job.counted > 0) {
+    scheduleRebuild(shop);
+  }
+  return job;
+}
+
+// One background job per shop; the Feed page reads its state through the loader
+function getJobs() {
+  if (!global.stemCountJobsGlobal) {
+    global.stemCountJobsGlobal = new Map();
+  }
+  return global.stemCountJobsGlobal;
+}
+
+export function getStemCountJob(shop) {
+  return getJobs().get(shop) || null;
+}
+
+export function startStemCounting(shop) {
+  const jobs = getJobs();
+  if (jobs.get(shop)?.status === "RUNNING") {
+    throw new Error("Stem counting is already running for this shop");
+  }
+
+  const provider = getStemCountProvider();
+  const state = {
+    status: "RUNNING",
+    provider: provider.name,
+    total: null,
+    counted: 0,
+    failed: [],
+    startedAt: new Date(),
+    finishedAt: null,
+    errorMessage: null
+  };
+  jobs.set(shop, state);
+
+  countMissingStems(shop, {
+    provider,
+    onProgress: (job) => Object.assign(state, { total: job.total, counted: job.counted, failed: job.failed })
+  })
+    .then((job) => {
+      Object.assign(state, { status: "SUCCEEDED", total: job.total, counted: job.counted, failed: job.failed });
+    })
+    .catch((err) => {
+      console.error(`Stem counting failed for ${shop}:`, err);
+      Object.assign(state, { status: "FAILED", errorMessage: err.message });
+    })
+    .finally(() => {
+      state.finishedAt = new Date();
+    });
+
+  return state;
+}
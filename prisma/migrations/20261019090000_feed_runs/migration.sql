@@ -0,0 +1,20 @@
+-- CreateEnum
+CREATE TYPE "FeedRunStatus" AS ENUM ('RUNNING', 'SUCCEEDED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "FeedRun" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL DEFAULT 'manual',
+    "status" "FeedRunStatus" NOT NULL DEFAULT 'RUNNING',
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "offerCount" INTEGER,
+    "skippedCount" INTEGER,
+    "errorMessage" TEXT,
+
+    CONSTRAINT "FeedRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FeedRun_shop_startedAt_idx" ON "FeedRun"("shop", "startedAt");
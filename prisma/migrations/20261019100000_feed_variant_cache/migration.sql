@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "FeedVariant" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "data" JSONB NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FeedVariant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FeedVariant_shop_productId_idx" ON "FeedVariant"("shop", "productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeedVariant_shop_variantId_key" ON "FeedVariant"("shop", "variantId");
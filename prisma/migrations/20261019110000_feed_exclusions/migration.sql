@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "FeedExclusion" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "runId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FeedExclusion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FeedExclusion_shop_idx" ON "FeedExclusion"("shop");
+
+-- CreateIndex
+CREATE INDEX "FeedExclusion_runId_idx" ON "FeedExclusion"("runId");
+
+-- AddForeignKey
+ALTER TABLE "FeedExclusion" ADD CONSTRAINT "FeedExclusion_runId_fkey" FOREIGN KEY ("runId") REFERENCES "FeedRun"("id") ON DELETE CASCADE ON UPDATE CASCADE;
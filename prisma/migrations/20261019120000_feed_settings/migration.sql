@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "FeedSettings" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "priceCap" INTEGER NOT NULL,
+    "excludedProductTypes" TEXT[],
+    "nonFloralKeywords" TEXT[],
+    "floralConsistNames" TEXT[],
+    "defaultProductType" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FeedSettings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeedSettings_shop_key" ON "FeedSettings"("shop");
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "FeedCategory" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "categoryId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FeedCategory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeedCategory_shop_name_key" ON "FeedCategory"("shop", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeedCategory_shop_categoryId_key" ON "FeedCategory"("shop", "categoryId");
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "FeedCategoryMapping" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "target" TEXT NOT NULL,
+    "sourceType" TEXT NOT NULL,
+    "sourceValue" TEXT NOT NULL,
+    "marketplaceCategoryId" TEXT NOT NULL,
+    "marketplaceCategoryName" TEXT NOT NULL,
+    "parentCategoryId" TEXT,
+    "parentCategoryName" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FeedCategoryMapping_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FeedCategoryMapping_shop_target_idx" ON "FeedCategoryMapping"("shop", "target");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeedCategoryMapping_shop_target_sourceType_sourceValue_key" ON "FeedCategoryMapping"("shop", "target", "sourceType", "sourceValue");
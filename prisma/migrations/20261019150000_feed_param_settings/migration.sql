@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "FeedSettings" ADD COLUMN     "paramDefaults" JSONB,
+ADD COLUMN     "paramMappings" JSONB;
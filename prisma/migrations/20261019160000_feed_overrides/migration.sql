@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "FeedOverride" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "name" TEXT,
+    "description" TEXT,
+    "picture" TEXT,
+    "price" INTEGER,
+    "composition" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FeedOverride_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeedOverride_shop_variantId_key" ON "FeedOverride"("shop", "variantId");
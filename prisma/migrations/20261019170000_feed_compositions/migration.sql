@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "FeedComposition" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "offerId" TEXT NOT NULL DEFAULT '',
+    "imageUrl" TEXT NOT NULL DEFAULT '',
+    "ingredients" TEXT NOT NULL DEFAULT '',
+    "counts" JSONB NOT NULL,
+    "source" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FeedComposition_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeedComposition_shop_offerId_imageUrl_ingredients_key" ON "FeedComposition"("shop", "offerId", "imageUrl", "ingredients");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "FeedSettings" ADD COLUMN     "pictureLimit" INTEGER NOT NULL DEFAULT 5;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "FeedRun" ADD COLUMN     "diff" JSONB;
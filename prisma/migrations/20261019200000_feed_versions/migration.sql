@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "FeedSettings" ADD COLUMN     "maxOfferDropPercent" INTEGER,
+ADD COLUMN     "versionLimit" INTEGER NOT NULL DEFAULT 10;
+
+-- CreateTable
+CREATE TABLE "FeedVersion" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "runId" TEXT NOT NULL,
+    "offerCount" INTEGER NOT NULL,
+    "fileNames" TEXT[],
+    "heldReason" TEXT,
+    "pinned" BOOLEAN NOT NULL DEFAULT false,
+    "publishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FeedVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FeedVersion_shop_createdAt_idx" ON "FeedVersion"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "FeedVersion_runId_idx" ON "FeedVersion"("runId");
+
+-- AddForeignKey
+ALTER TABLE "FeedVersion" ADD CONSTRAINT "FeedVersion_runId_fkey" FOREIGN KEY ("runId") REFERENCES "FeedRun"("id") ON DELETE CASCADE ON UPDATE CASCADE;
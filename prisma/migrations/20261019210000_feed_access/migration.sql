@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE "FeedAccess" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "feed" TEXT NOT NULL,
+    "requireToken" BOOLEAN NOT NULL DEFAULT false,
+    "ipAllowlist" TEXT[],
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FeedAccess_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "FeedAccessToken" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "feed" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "tokenHint" TEXT NOT NULL,
+    "lastUsedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FeedAccessToken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "FeedFetchLog" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "feed" TEXT NOT NULL,
+    "ip" TEXT NOT NULL,
+    "userAgent" TEXT NOT NULL,
+    "status" INTEGER NOT NULL,
+    "tokenId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FeedFetchLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeedAccess_shop_feed_key" ON "FeedAccess"("shop", "feed");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeedAccessToken_tokenHash_key" ON "FeedAccessToken"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "FeedAccessToken_shop_feed_idx" ON "FeedAccessToken"("shop", "feed");
+
+-- CreateIndex
+CREATE INDEX "FeedFetchLog_shop_feed_createdAt_idx" ON "FeedFetchLog"("shop", "feed", "createdAt");
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "FeedRun" ADD COLUMN     "progress" JSONB;
+
+-- CreateTable
+CREATE TABLE "FeedLock" (
+    "shop" TEXT NOT NULL,
+    "runId" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FeedLock_pkey" PRIMARY KEY ("shop")
+);
@@ -0,0 +1,8 @@
+-- CreateTable
+CREATE TABLE "FeedFile" (
+    "key" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FeedFile_pkey" PRIMARY KEY ("key")
+);
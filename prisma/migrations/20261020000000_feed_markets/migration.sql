@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "FeedMarket" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "marketId" TEXT NOT NULL,
+    "handle" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "countryCode" TEXT NOT NULL,
+    "currencyCode" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT false,
+    "prices" JSONB,
+    "pricesUpdatedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FeedMarket_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeedMarket_shop_handle_key" ON "FeedMarket"("shop", "handle");
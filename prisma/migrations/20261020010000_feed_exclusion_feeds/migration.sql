@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "FeedExclusion" ADD COLUMN     "feeds" TEXT[] DEFAULT ARRAY[]::TEXT[];
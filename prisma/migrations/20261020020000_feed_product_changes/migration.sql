@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "FeedProductChange" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "changedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FeedProductChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeedProductChange_shop_productId_key" ON "FeedProductChange"("shop", "productId");